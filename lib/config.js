@@ -0,0 +1,347 @@
+const net = require("net");
+const path = require("path");
+const { isValidEmail, SUPPORTED_CURRENCIES } = require("./validation");
+
+const MODES = ["sandbox", "live"];
+const PROVIDERS = ["flutterwave", "mpesa", "stripe"];
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 20000;
+// Named address ranges Express's "trust proxy" understands
+const PROXY_RANGES = ["loopback", "linklocal", "uniquelocal"];
+
+// Provider API hosts per mode, overridable with e.g. MPESA_BASE_URL_LIVE
+const BASE_URLS = {
+  FLW: { sandbox: "https://api.flutterwave.com", live: "https://api.flutterwave.com" },
+  MPESA: { sandbox: "https://sandbox.safaricom.co.ke", live: "https://api.safaricom.co.ke" },
+  STRIPE: { sandbox: "https://api.stripe.com", live: "https://api.stripe.com" },
+};
+
+// What a key for the other mode looks like: Flutterwave test keys carry
+// "_TEST", Stripe's start with sk_test_ / sk_live_ (rk_ when restricted)
+const WRONG_MODE_KEYS = {
+  sandbox: {
+    FLW_SECRET_KEY: /^FLWSECK-/,
+    STRIPE_SECRET_KEY: /^[sr]k_live_/,
+  },
+  live: {
+    FLW_SECRET_KEY: /_TEST/,
+    STRIPE_SECRET_KEY: /^[sr]k_test_/,
+  },
+};
+
+const bulletList = (lines) => lines.map((line) => `  - ${line}`).join("\n");
+
+// Thrown by loadConfig() with every problem it found, and any warnings since
+// they often explain the problems
+class ConfigError extends Error {
+  constructor(problems, warnings = []) {
+    let message = `Invalid configuration:\n${bulletList(problems)}`;
+    if (warnings.length > 0) message += `\nWarnings:\n${bulletList(warnings)}`;
+    super(message);
+    this.name = "ConfigError";
+    this.problems = problems;
+    this.warnings = warnings;
+  }
+}
+
+// Reads settings from `env`, noting what is wrong in `problems` instead of
+// throwing so that one boot reports every mistake. Values are trimmed and an
+// empty value counts as unset. Messages name the setting but never print
+// its value, which may be a secret.
+function createReader(env, problems) {
+  const raw = (name) => (typeof env[name] === "string" ? env[name].trim() : "");
+
+  function string(name, fallback = "") {
+    return raw(name) || fallback;
+  }
+
+  function integer(name, fallback, { min = 0, max = Infinity } = {}) {
+    const value = raw(name);
+    if (!value) return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      const range = max === Infinity ? `${min} or more` : `between ${min} and ${max}`;
+      problems.push(`${name} must be a whole number ${range}`);
+      return fallback;
+    }
+    return number;
+  }
+
+  function boolean(name, fallback) {
+    const value = raw(name).toLowerCase();
+    if (!value) return fallback;
+    if (value !== "true" && value !== "false") {
+      problems.push(`${name} must be true or false`);
+      return fallback;
+    }
+    return value === "true";
+  }
+
+  function oneOf(name, values, fallback) {
+    const value = raw(name) || fallback;
+    if (!values.includes(value)) {
+      problems.push(`${name} must be one of ${values.join(", ")}`);
+      return fallback;
+    }
+    return value;
+  }
+
+  // An http(s) URL; `https` insists on TLS, as live payments do. Only a value
+  // that is set is checked: defaults are derived from settings checked on
+  // their own, and would just repeat those problems.
+  function url(name, fallback, { https = false } = {}) {
+    const value = raw(name);
+    if (!value) return fallback;
+
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      problems.push(`${name} must be a full URL such as https://example.com`);
+      return value;
+    }
+    if (parsed.protocol !== "https:" && (https || parsed.protocol !== "http:")) {
+      problems.push(`${name} must be an ${https ? "https" : "http(s)"} URL`);
+    }
+    return value;
+  }
+
+  // "a, b,c" -> ["a", "b", "c"]
+  function list(name) {
+    return raw(name)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  return { raw, string, integer, boolean, oneOf, url, list };
+}
+
+// "KES:mpesa,USD:stripe" -> { KES: "mpesa", USD: "stripe" }, checking that
+// every currency is one the page offers and every provider exists
+function readRouting(read, problems) {
+  const routing = {};
+  for (const entry of read.list("PAYMENT_ROUTING")) {
+    const [currency, provider] = entry.split(":").map((part) => part.trim());
+    if (!currency || !provider) {
+      problems.push(`PAYMENT_ROUTING entry "${entry}" must look like CURRENCY:provider`);
+    } else if (!SUPPORTED_CURRENCIES.includes(currency.toUpperCase())) {
+      problems.push(`PAYMENT_ROUTING currency ${currency} must be one of ${SUPPORTED_CURRENCIES.join(", ")}`);
+    } else if (!PROVIDERS.includes(provider)) {
+      problems.push(`PAYMENT_ROUTING provider for ${currency} must be one of ${PROVIDERS.join(", ")}`);
+    } else {
+      routing[currency.toUpperCase()] = provider;
+    }
+  }
+  return routing;
+}
+
+// An IP address, a subnet like 10.0.0.0/8 or fd00::/8, or a named range
+function isProxyAddress(entry) {
+  if (PROXY_RANGES.includes(entry)) return true;
+
+  const [address, bits, ...rest] = entry.split("/");
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return false;
+  if (bits === undefined) return true;
+  return /^\d+$/.test(bits) && Number(bits) <= (version === 4 ? 32 : 128);
+}
+
+// Express's "trust proxy" setting: true or false, a hop count like "1", or
+// the proxies' addresses such as "loopback, 10.0.0.0/8". Null when unset.
+// Anything else is reported here; Express would otherwise stop the boot with
+// a bare "invalid IP address" TypeError.
+function readTrustProxy(read, problems) {
+  const value = read.string("TRUST_PROXY");
+  if (!value) return null;
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const addresses = read.list("TRUST_PROXY");
+  const invalid = addresses.filter((entry) => !isProxyAddress(entry));
+  for (const entry of invalid) {
+    problems.push(
+      `TRUST_PROXY entry "${entry}" must be an IP address, a subnet like 10.0.0.0/8 or one of ${PROXY_RANGES.join(", ")} (or set TRUST_PROXY to true, false or a hop count)`
+    );
+  }
+  return invalid.length > 0 ? null : addresses;
+}
+
+// Settings for the three payment adapters in the chosen mode. Providers that
+// take payments (the default one and any PAYMENT_ROUTING points at) must have
+// every credential set; the others are optional and answer
+// "provider_not_configured" if a request asks for them by name.
+function readPayments(read, problems, warnings, { mode, publicUrl }) {
+  const live = mode === "live";
+
+  // The name to read a provider setting from. Settings used to be shared by
+  // both modes, without the _SANDBOX / _LIVE suffix; in sandbox mode the old
+  // name still works, with a warning, so existing .env files keep starting.
+  // Live mode never falls back: an old key may well be a test key.
+  function settingName(name) {
+    const setting = `${name}_${mode.toUpperCase()}`;
+    if (!read.raw(name)) return setting;
+
+    if (read.raw(setting)) {
+      warnings.push(`${name} is ignored because ${setting} is set; remove it`);
+    } else if (live) {
+      warnings.push(`${name} is ignored in live mode; set ${setting} instead`);
+    } else {
+      warnings.push(`${name} is deprecated; rename it to ${setting}`);
+      return name;
+    }
+    return setting;
+  }
+
+  const defaultProvider = read.oneOf("PAYMENT_DEFAULT_PROVIDER", PROVIDERS, "flutterwave");
+  const routing = readRouting(read, problems);
+
+  // provider -> why it is needed, for the error message
+  const inUse = { [defaultProvider]: "PAYMENT_DEFAULT_PROVIDER" };
+  for (const [currency, provider] of Object.entries(routing)) {
+    inUse[provider] = inUse[provider] || `PAYMENT_ROUTING ${currency}`;
+  }
+
+  function secret(provider, name, { required = true } = {}) {
+    const setting = settingName(name);
+    const value = read.string(setting);
+    if (!value && required && inUse[provider]) {
+      problems.push(`${setting} is required in ${mode} mode: ${provider} takes payments (${inUse[provider]})`);
+    }
+    const wrongMode = WRONG_MODE_KEYS[mode][name];
+    if (value && wrongMode && wrongMode.test(value)) {
+      problems.push(`${setting} looks like a ${live ? "test" : "live"} key`);
+    }
+    return value;
+  }
+
+  function baseUrl(prefix) {
+    return read.url(settingName(`${prefix}_BASE_URL`), BASE_URLS[prefix][mode], { https: live });
+  }
+
+  return {
+    defaultProvider,
+    routing,
+    // Where checkout sends the customer back to
+    callbackUrl: read.url("PAYMENT_CALLBACK_URL", `${publicUrl}/api/callback`, { https: live }),
+    flutterwave: {
+      baseUrl: baseUrl("FLW"),
+      secretKey: secret("flutterwave", "FLW_SECRET_KEY"),
+      secretHash: secret("flutterwave", "FLW_SECRET_HASH"),
+    },
+    mpesa: {
+      baseUrl: baseUrl("MPESA"),
+      consumerKey: secret("mpesa", "MPESA_CONSUMER_KEY"),
+      consumerSecret: secret("mpesa", "MPESA_CONSUMER_SECRET"),
+      shortcode: secret("mpesa", "MPESA_SHORTCODE"),
+      passkey: secret("mpesa", "MPESA_PASSKEY"),
+      // Daraja callbacks are unsigned, so live payments need the token
+      callbackToken: secret("mpesa", "MPESA_CALLBACK_TOKEN", { required: live }),
+      callbackUrl: read.url("MPESA_CALLBACK_URL", `${publicUrl}/api/webhooks/mpesa`, { https: live }),
+    },
+    stripe: {
+      baseUrl: baseUrl("STRIPE"),
+      secretKey: secret("stripe", "STRIPE_SECRET_KEY"),
+      webhookSecret: secret("stripe", "STRIPE_WEBHOOK_SECRET"),
+    },
+  };
+}
+
+// Receipt email settings, or null without SMTP_HOST (nothing is emailed).
+// The result is what lib/mailer.js's createMailer() takes.
+function readSmtp(read) {
+  const host = read.string("SMTP_HOST");
+  if (!host) return null;
+
+  return {
+    host,
+    port: read.integer("SMTP_PORT", 587, { min: 1, max: 65535 }),
+    secure: read.boolean("SMTP_SECURE", false),
+    user: read.string("SMTP_USER"),
+    pass: read.string("SMTP_PASS"),
+    from: read.string("MAIL_FROM", `Vibe Payments <no-reply@${host}>`),
+    maxAttempts: read.integer("SMTP_MAX_ATTEMPTS", 5, { min: 1 }),
+    retryDelayMs: read.integer("SMTP_RETRY_DELAY_MS", 2000),
+  };
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// Reads and checks every setting server.js uses, once, at boot. Throws a
+// ConfigError listing all problems, so a bad deploy stops right away rather
+// than failing on its first payment. Returns a frozen object:
+//
+//   { mode, port, publicUrl, frontendUrl, corsOrigins, dataDir, trustProxy,
+//     adminEmails, shutdownTimeoutMs, smtp, payments, warnings }
+//
+// `warnings` lists settings that still work but should be changed.
+//
+// PAYMENT_MODE picks "sandbox" (the default) or "live". Each mode has its
+// own provider keys and API hosts, read from settings ending in _SANDBOX or
+// _LIVE, so test keys can't end up taking real payments. Live mode also
+// insists on https URLs and M-Pesa's callback token.
+//
+// `rootDir` is the project root; DATA_DIR is relative to it, so ./data is
+// the same directory wherever the server is started from.
+function loadConfig(env = process.env, { rootDir = process.cwd() } = {}) {
+  const problems = [];
+  const warnings = [];
+  const read = createReader(env, problems);
+
+  const mode = read.oneOf("PAYMENT_MODE", MODES, "sandbox");
+  const live = mode === "live";
+  const port = read.integer("PORT", 5000, { min: 1, max: 65535 });
+
+  if (live && !read.raw("PUBLIC_URL")) {
+    problems.push("PUBLIC_URL is required in live mode: providers need a public address to send customers and webhooks back to");
+  }
+  const publicUrl = read
+    .url("PUBLIC_URL", `http://localhost:${port}`, { https: live })
+    .replace(/\/+$/, "");
+
+  // Extra origins allowed to call /api; the page this server hosts needs no entry
+  const corsOrigins = read.list("CORS_ORIGINS");
+  for (const origin of corsOrigins) {
+    let valid = false;
+    try {
+      valid = new URL(origin).origin === origin;
+    } catch (error) {
+      // Reported below
+    }
+    if (!valid) {
+      problems.push(`CORS_ORIGINS entry "${origin}" must be an origin like https://shop.example.com, without a path`);
+    }
+  }
+
+  const adminEmails = read.list("ADMIN_EMAILS").map((email) => email.toLowerCase());
+  for (const email of adminEmails) {
+    if (!isValidEmail(email)) problems.push(`ADMIN_EMAILS entry "${email}" is not a valid email`);
+  }
+
+  const config = {
+    mode,
+    port,
+    publicUrl,
+    // Page to send customers back to after checkout
+    frontendUrl: read.url("FRONTEND_URL", `${publicUrl}/`),
+    corsOrigins,
+    dataDir: path.resolve(rootDir, read.string("DATA_DIR", "data")),
+    trustProxy: readTrustProxy(read, problems),
+    adminEmails,
+    shutdownTimeoutMs: read.integer("SHUTDOWN_TIMEOUT_MS", DEFAULT_SHUTDOWN_TIMEOUT_MS, { min: 1 }),
+    smtp: readSmtp(read),
+    payments: readPayments(read, problems, warnings, { mode, publicUrl }),
+    warnings,
+  };
+
+  if (problems.length > 0) throw new ConfigError(problems, warnings);
+  return deepFreeze(config);
+}
+
+module.exports = { loadConfig, ConfigError, MODES };
@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+const { HttpError } = require("./errors");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const TOKEN_HEADER = "X-CSRF-Token";
+
+function createCsrfToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== "string" || typeof actual !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cross-site request forgery protection for the cookie-authenticated API,
+// checked on every request that can change something (not GET/HEAD/OPTIONS):
+//
+// - A request a browser sent from another site is refused. The browser's
+//   Origin header (or Referer, when it leaves Origin out) has to be this
+//   server's own host or one of `allowedOrigins`.
+// - A request made with a session must also send that session's CSRF token
+//   in X-CSRF-Token. The page gets it from GET /api/session and from signing
+//   in; another site can't read it.
+//
+// Requests with neither header nor session, like provider webhooks, pass:
+// without a cookie there is nothing to forge. Mount after the session
+// middleware so req.session is set.
+function createCsrfProtection({ allowedOrigins = [] } = {}) {
+  const failed = (message) => new HttpError(403, "csrf_failed", message);
+
+  return function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) return next();
+
+    const origin = req.get("Origin") || (req.get("Referer") && originOf(req.get("Referer")));
+    if (origin) {
+      const sameHost = originOf(origin) !== null && new URL(origin).host === req.get("Host");
+      if (!sameHost && !allowedOrigins.includes(origin)) {
+        return next(failed("Requests from other sites are not allowed"));
+      }
+    }
+
+    if (req.session && !tokensMatch(req.session.csrfToken, req.get(TOKEN_HEADER))) {
+      return next(failed("Your page is out of date. Please reload it and try again."));
+    }
+    next();
+  };
+}
+
+module.exports = { createCsrfProtection, createCsrfToken, TOKEN_HEADER };
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const { PaymentProviderError } = require("./providers");
+
+// An error whose message is written for the client, e.g. a failed CSRF check
+class HttpError extends Error {
+  constructor(status, code, message, { errors, cause } = {}) {
+    super(message, { cause });
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+// Codes for errors that don't bring their own
+const STATUS_CODES = {
+  400: "invalid_request",
+  401: "unauthenticated",
+  403: "forbidden",
+  404: "not_found",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+};
+
+// Friendlier wording for express.json() failures than the parser's own
+const BODY_PARSER_MESSAGES = {
+  "entity.parse.failed": "Request body is not valid JSON",
+  "entity.too.large": "Request body is too large",
+  "encoding.unsupported": "Unsupported request body encoding",
+  "charset.unsupported": "Unsupported request body charset",
+  "request.aborted": "Request was aborted",
+};
+
+// Proxies may pass their own id along; anything else gets a fresh one
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Gives every request an id, sent back in X-Request-Id and in error bodies
+// so a user's report can be matched to the server log
+function requestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  next();
+}
+
+// Turns any error into the body the API answers with:
+//
+//   { error: "<message>", code: "<code>", requestId: "<id>", errors?, provider? }
+//
+// Only messages written for clients are passed on: HttpError,
+// PaymentProviderError and the body parser's. Anything else (an axios error
+// naming an upstream URL, a file system error) becomes "Internal server error".
+function toErrorBody(error, status, id) {
+  if (error instanceof PaymentProviderError) {
+    return { ...error.toJSON(), requestId: id };
+  }
+
+  let message = "Internal server error";
+  if (error instanceof HttpError) {
+    message = error.message;
+  } else if (error.type && BODY_PARSER_MESSAGES[error.type]) {
+    message = BODY_PARSER_MESSAGES[error.type];
+  } else if (status < 500 && error.expose) {
+    message = error.message;
+  }
+
+  const body = {
+    error: message,
+    code: error instanceof HttpError ? error.code : STATUS_CODES[status] || "internal_error",
+    requestId: id,
+  };
+  if (error instanceof HttpError && error.errors) body.errors = error.errors;
+  return body;
+}
+
+// Central API error handler: logs the full error with its request id, then
+// answers with toErrorBody(). Express 5 also sends rejected promises from
+// async routes here.
+function apiErrorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  let status = error.status || error.statusCode || 500;
+  if (!Number.isInteger(status) || status < 400 || status > 599) status = 500;
+
+  if (status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+  } else {
+    console.warn(`[${req.id}] ${req.method} ${req.originalUrl} ${status}: ${error.message}`);
+  }
+
+  res.status(status).json(toErrorBody(error, status, req.id));
+}
+
+module.exports = { HttpError, requestId, apiErrorHandler, toErrorBody };
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const { createJsonStore } = require("./json-store");
+const { HttpError } = require("./errors");
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+function fingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest("hex");
+}
+
+// Express middleware honouring an `Idempotency-Key` request header. The first
+// response for a key is persisted and replayed verbatim for any retry with
+// the same key and body, so a client that retries /pay never starts a second
+// payment. 5xx responses are not stored, which leaves the key free to retry.
+function createIdempotencyMiddleware(filePath, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  const store = createJsonStore(filePath, { responses: {} });
+  // Keys whose first request is still being handled by this process
+  const inFlight = new Set();
+
+  function isExpired(record) {
+    return Date.now() - Date.parse(record.createdAt) > ttlMs;
+  }
+
+  async function save(scopedKey, record) {
+    await store.update((data) => {
+      for (const [key, existing] of Object.entries(data.responses)) {
+        if (isExpired(existing)) delete data.responses[key];
+      }
+      data.responses[scopedKey] = record;
+    });
+  }
+
+  return async function idempotency(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+
+    if (key.trim() === "" || key.length > MAX_KEY_LENGTH) {
+      return next(
+        new HttpError(
+          400,
+          "invalid_request",
+          `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+        )
+      );
+    }
+
+    // Keys are per user, so one customer can never replay another's response
+    const user = req.user ? req.user.id : "anonymous";
+    const scopedKey = `${req.method} ${req.path} ${user} ${key}`;
+    const requestHash = fingerprint(req);
+
+    if (inFlight.has(scopedKey)) {
+      return next(
+        new HttpError(
+          409,
+          "request_in_progress",
+          "A request with this Idempotency-Key is still being processed"
+        )
+      );
+    }
+
+    // Reserve the key before the first await, so a second request arriving
+    // while the store is read already sees it taken
+    inFlight.add(scopedKey);
+    res.on("close", () => inFlight.delete(scopedKey));
+
+    const { responses } = await store.read();
+    const record = responses[scopedKey];
+
+    if (record && !isExpired(record)) {
+      inFlight.delete(scopedKey);
+      if (record.requestHash !== requestHash) {
+        return next(
+          new HttpError(
+            422,
+            "idempotency_key_reused",
+            "This Idempotency-Key was already used with a different request"
+          )
+        );
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500) return sendJson(body);
+
+      // Keep the key marked in flight until the response is on disk, so a
+      // retry racing this one can't slip through and start a second payment.
+      save(scopedKey, {
+        requestHash,
+        statusCode: res.statusCode,
+        body,
+        createdAt: new Date().toISOString(),
+      })
+        .catch((error) => console.error("Failed to store idempotent response:", error))
+        .finally(() => {
+          inFlight.delete(scopedKey);
+          sendJson(body);
+        });
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = { createIdempotencyMiddleware };
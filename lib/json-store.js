@@ -0,0 +1,42 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Tiny JSON-file backed store. Every write goes through a queue so two
+// requests can't interleave their read-modify-write cycles, and the file is
+// replaced via a temp file + rename so a crash never leaves it half written.
+function createJsonStore(filePath, defaultValue) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return structuredClone(defaultValue);
+      throw error;
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // Runs `mutator` against the current data and persists whatever it leaves
+  // behind. Resolves with the mutator's return value.
+  function update(mutator) {
+    const run = queue.then(async () => {
+      const data = await read();
+      const result = await mutator(data);
+      await write(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { read, update };
+}
+
+module.exports = { createJsonStore };
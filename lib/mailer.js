@@ -0,0 +1,62 @@
+const nodemailer = require("nodemailer");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// SMTP answers in the 5xx range (unknown mailbox, rejected sender, failed
+// login) will be the same next time; anything else, like a refused
+// connection or a 4xx "try again later", is worth retrying.
+function isPermanentFailure(error) {
+  return error.responseCode >= 500 && error.responseCode < 600;
+}
+
+// Sends mail over SMTP, retrying failed sends with exponential backoff:
+// `retryDelayMs`, then twice that, and so on, up to five minutes between
+// attempts. Works with a local catcher such as Mailpit or MailHog by pointing
+// `host`/`port` at it with `secure` off and no credentials.
+function createMailer({
+  host,
+  port = 587,
+  secure = false,
+  user,
+  pass,
+  from,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  transport,
+}) {
+  const transporter =
+    transport ||
+    nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+
+  // Resolves with nodemailer's info once the message is accepted, or rejects
+  // with the last error after `maxAttempts` tries. `onAttempt({ attempt,
+  // error, retryInMs })` is called after every failed try.
+  async function send(message, { onAttempt = () => {} } = {}) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await transporter.sendMail({ from, ...message });
+      } catch (error) {
+        const giveUp = attempt >= maxAttempts || isPermanentFailure(error);
+        const retryInMs = giveUp
+          ? null
+          : Math.min(retryDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+        await onAttempt({ attempt, error, retryInMs });
+        if (giveUp) throw error;
+        await wait(retryInMs);
+      }
+    }
+  }
+
+  return { send };
+}
+
+module.exports = { createMailer, isPermanentFailure };
@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const { createJsonStore } = require("./json-store");
+
+const STATUSES = ["pending", "successful", "failed", "cancelled"];
+const FINAL_STATUSES = ["successful", "failed", "cancelled"];
+
+// Random, so two payments started in the same millisecond (or on two
+// servers) can never share a reference the way Date.now() values could.
+function createTxRef() {
+  return `vp-${crypto.randomUUID()}`;
+}
+
+// Persisted ledger of every payment /pay starts, keyed by tx_ref. Entries
+// start out pending and move to exactly one final status; later updates for
+// a settled payment are ignored so a late or replayed webhook can't flip a
+// successful payment back to failed.
+function createPaymentLedger(filePath) {
+  const store = createJsonStore(filePath, { payments: {} });
+
+  async function get(txRef) {
+    const { payments } = await store.read();
+    return payments[txRef] || null;
+  }
+
+  // Every payment in the ledger, in no particular order
+  async function list() {
+    const { payments } = await store.read();
+    return Object.values(payments);
+  }
+
+  async function findByProviderReference(provider, providerReference) {
+    const { payments } = await store.read();
+    return (
+      Object.values(payments).find(
+        (payment) =>
+          payment.provider === provider &&
+          payment.providerReference === providerReference
+      ) || null
+    );
+  }
+
+  function create({ txRef, provider, amount, currency, customer }) {
+    return store.update((data) => {
+      if (data.payments[txRef]) {
+        throw new Error(`Duplicate tx_ref: ${txRef}`);
+      }
+
+      const now = new Date().toISOString();
+      const payment = {
+        tx_ref: txRef,
+        provider,
+        providerReference: null,
+        amount,
+        currency,
+        customer,
+        status: "pending",
+        transaction_id: null,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ status: "pending", at: now }],
+      };
+      data.payments[txRef] = payment;
+      return payment;
+    });
+  }
+
+  // Moves a payment to `status`, merging any extra `details` (transaction id,
+  // provider reference, payment type, failure reason). Returns the entry, or null if unknown.
+  function transition(txRef, status, details = {}) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown payment status: ${status}`);
+    }
+
+    return store.update((data) => {
+      const payment = data.payments[txRef];
+      if (!payment) return null;
+      if (FINAL_STATUSES.includes(payment.status)) return payment;
+
+      const now = new Date().toISOString();
+      Object.assign(payment, details, { status, updatedAt: now });
+      if (status !== "pending") {
+        payment.history.push({ status, at: now });
+      }
+      return payment;
+    });
+  }
+
+  return { get, list, findByProviderReference, create, transition };
+}
+
+module.exports = { createPaymentLedger, createTxRef, STATUSES, FINAL_STATUSES };
@@ -0,0 +1,73 @@
+// Every payment adapter reports failures as a PaymentProviderError so the API
+// can answer with one error shape no matter which provider was involved:
+//
+//   { error: "<message>", code: "<code>", provider: "<name>", errors?: {...} }
+//
+// Codes:
+//   invalid_request         - the payment details don't suit this provider (400)
+//   unsupported_currency    - the provider can't charge in this currency (400)
+//   unknown_provider        - no adapter with that name (400)
+//   invalid_signature       - webhook failed authentication (401)
+//   payment_rejected        - the provider refused the payment (422)
+//   provider_not_configured - credentials for the provider are missing (503)
+//   provider_unavailable    - the provider could not be reached or errored (502)
+class PaymentProviderError extends Error {
+  constructor(provider, code, message, { status = 502, errors, cause } = {}) {
+    super(message, { cause });
+    this.name = "PaymentProviderError";
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    const body = { error: this.message, code: this.code, provider: this.provider };
+    if (this.errors) body.errors = this.errors;
+    return body;
+  }
+}
+
+// Maps an axios error from a provider's HTTP API onto a PaymentProviderError.
+// `getMessage` pulls the human readable message out of that provider's error
+// body, since each API nests it differently.
+function fromHttpError(provider, error, getMessage = () => undefined) {
+  if (error instanceof PaymentProviderError) return error;
+
+  const { response } = error;
+  if (!response) {
+    return new PaymentProviderError(
+      provider,
+      "provider_unavailable",
+      `Could not reach ${provider}`,
+      { cause: error }
+    );
+  }
+
+  if (response.status >= 500 || response.status === 401 || response.status === 403) {
+    return new PaymentProviderError(
+      provider,
+      "provider_unavailable",
+      `${provider} could not process the request`,
+      { cause: error }
+    );
+  }
+
+  return new PaymentProviderError(
+    provider,
+    "payment_rejected",
+    getMessage(response.data) || `${provider} rejected the payment`,
+    { status: 422, cause: error }
+  );
+}
+
+function notConfigured(provider) {
+  return new PaymentProviderError(
+    provider,
+    "provider_not_configured",
+    `${provider} payments are not configured on this server`,
+    { status: 503 }
+  );
+}
+
+module.exports = { PaymentProviderError, fromHttpError, notConfigured };
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { PaymentProviderError, fromHttpError, notConfigured } = require("./errors");
+
+const NAME = "flutterwave";
+
+function toStatus(flutterwaveStatus) {
+  if (flutterwaveStatus === "successful") return "successful";
+  if (flutterwaveStatus === "failed") return "failed";
+  return "pending";
+}
+
+// Flutterwave's answer to a lookup for a tx_ref it has no transaction for
+function isNotFound(error) {
+  return error.code === "payment_rejected" && /no transaction was found/i.test(error.message);
+}
+
+function safeEqual(received, expected) {
+  if (!expected || typeof received !== "string") return false;
+
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Flutterwave Standard (hosted checkout) adapter. `baseUrl` is configurable so
+// local runs can point at scripts/flutterwave-stub.js instead of the real API.
+function createFlutterwaveProvider({ baseUrl, secretKey, secretHash }) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    headers: { Authorization: `Bearer ${secretKey}` },
+  });
+
+  async function call(request) {
+    if (!secretKey) throw notConfigured(NAME);
+
+    try {
+      const response = await request();
+      return response.data;
+    } catch (error) {
+      throw fromHttpError(NAME, error, (body) => body && body.message);
+    }
+  }
+
+  async function createPayment({ txRef, amount, currency, customer, callbackUrl }) {
+    const body = await call(() =>
+      http.post("/v3/payments", {
+        tx_ref: txRef,
+        amount,
+        currency,
+        redirect_url: callbackUrl,
+        customer: { email: customer.email, name: customer.name },
+        payment_options: "card,mpesa,ussd",
+      })
+    );
+
+    return { link: body.data.link, message: body.message, providerReference: null };
+  }
+
+  // `transactionId` comes from the callback or webhook when we have one;
+  // otherwise the transaction is looked up by tx_ref. A cancelled checkout
+  // never creates a transaction, so when the customer comes back saying
+  // `status: "cancelled"` and Flutterwave confirms there is no transaction
+  // for the tx_ref, nothing was charged and the payment is cancelled.
+  async function verify(payment, { transactionId, status } = {}) {
+    let body;
+    try {
+      body = await call(() =>
+        transactionId
+          ? http.get(`/v3/transactions/${encodeURIComponent(transactionId)}/verify`)
+          : http.get("/v3/transactions/verify_by_reference", {
+              params: { tx_ref: payment.tx_ref },
+            })
+      );
+    } catch (error) {
+      if (!transactionId && status === "cancelled" && isNotFound(error)) {
+        return { status: "cancelled" };
+      }
+      throw error;
+    }
+
+    const { data } = body;
+
+    if (!data || data.tx_ref !== payment.tx_ref) return { status: "pending" };
+
+    return {
+      status: toStatus(data.status),
+      transactionId: data.id,
+      paymentType: data.payment_type,
+      amount: Number(data.amount),
+      currency: data.currency,
+    };
+  }
+
+  // Flutterwave signs webhooks by echoing the dashboard's "secret hash" in
+  // the `verif-hash` header.
+  function parseWebhook(req) {
+    if (!safeEqual(req.get("verif-hash"), secretHash)) {
+      throw new PaymentProviderError(NAME, "invalid_signature", "Invalid webhook signature", {
+        status: 401,
+      });
+    }
+
+    const data = (req.body && req.body.data) || {};
+    if (!data.tx_ref) return null;
+    return { txRef: data.tx_ref, transactionId: data.id };
+  }
+
+  return { name: NAME, createPayment, verify, parseWebhook };
+}
+
+module.exports = { createFlutterwaveProvider };
@@ -0,0 +1,60 @@
+const { PaymentProviderError } = require("./errors");
+const { createFlutterwaveProvider } = require("./flutterwave");
+const { createMpesaProvider } = require("./mpesa");
+const { createStripeProvider } = require("./stripe");
+
+// Registry of payment adapters. Every adapter implements:
+//
+//   createPayment({ txRef, amount, currency, customer, callbackUrl })
+//     -> { link, message, providerReference }
+//   verify(payment, hints) -> { status, transactionId, paymentType, amount, currency }
+//     where `hints` holds what the callback or webhook said ({ transactionId,
+//     status }), for the adapter to check with the provider
+//   parseWebhook(req) -> { txRef?, providerReference?, transactionId? } | null
+//
+// and reports failures as PaymentProviderError (see ./errors.js).
+function createPaymentProviders({ adapters, defaultProvider, routing = {} }) {
+  const byName = new Map(adapters.map((adapter) => [adapter.name, adapter]));
+
+  function has(name) {
+    return byName.has(name);
+  }
+
+  function get(name) {
+    const adapter = byName.get(name);
+    if (!adapter) {
+      throw new PaymentProviderError(name, "unknown_provider", `Unknown payment provider: ${name}`, {
+        status: 400,
+        errors: { provider: `Provider must be one of ${[...byName.keys()].join(", ")}` },
+      });
+    }
+    return adapter;
+  }
+
+  // An explicit `provider` wins; otherwise the currency routing table decides,
+  // falling back to the default provider.
+  function select({ provider, currency }) {
+    return get(provider || routing[currency] || defaultProvider);
+  }
+
+  return { names: [...byName.keys()], has, get, select };
+}
+
+// Builds the registry from loadConfig()'s `payments` settings (lib/config.js)
+function createPaymentProvidersFromConfig({ defaultProvider, routing, flutterwave, mpesa, stripe }) {
+  return createPaymentProviders({
+    adapters: [
+      createFlutterwaveProvider(flutterwave),
+      createMpesaProvider(mpesa),
+      createStripeProvider(stripe),
+    ],
+    defaultProvider,
+    routing,
+  });
+}
+
+module.exports = {
+  createPaymentProviders,
+  createPaymentProvidersFromConfig,
+  PaymentProviderError,
+};
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { PaymentProviderError, fromHttpError, notConfigured } = require("./errors");
+
+const NAME = "mpesa";
+// Safaricom numbers in any of the usual forms: 0712..., 712..., +254712..., 254712...
+const PHONE_REGEX = /^(?:\+?254|0)?([17]\d{8})$/;
+// Daraja answers an STK query with this code while the customer hasn't acted yet
+const STILL_PROCESSING = "500.001.1001";
+const RESULT_CANCELLED = "1032";
+
+function normalizePhone(phone) {
+  const match = PHONE_REGEX.exec(String(phone || "").replace(/\s+/g, ""));
+  return match ? `254${match[1]}` : null;
+}
+
+// Daraja wants the timestamp as YYYYMMDDHHmmss in Kenyan time (UTC+3)
+function darajaTimestamp(date = new Date()) {
+  return new Date(date.getTime() + 3 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:TZ]/g, "")
+    .slice(0, 14);
+}
+
+function getDarajaMessage(body) {
+  return body && (body.errorMessage || body.ResponseDescription);
+}
+
+// Safaricom Daraja STK Push adapter. The customer gets a payment prompt on
+// their phone, so there is no checkout link; the result arrives on the
+// callback URL and can also be polled with the STK query API.
+function createMpesaProvider({
+  baseUrl,
+  consumerKey,
+  consumerSecret,
+  shortcode,
+  passkey,
+  callbackUrl,
+  callbackToken,
+}) {
+  const http = axios.create({ baseURL: baseUrl });
+  let token = null;
+
+  function assertConfigured() {
+    if (!consumerKey || !consumerSecret || !shortcode || !passkey || !callbackUrl) {
+      throw notConfigured(NAME);
+    }
+  }
+
+  async function getAccessToken() {
+    if (token && token.expiresAt > Date.now()) return token.value;
+
+    const response = await http.get("/oauth/v1/generate", {
+      params: { grant_type: "client_credentials" },
+      auth: { username: consumerKey, password: consumerSecret },
+    });
+    // Refresh a minute early so a token never expires mid-request
+    token = {
+      value: response.data.access_token,
+      expiresAt: Date.now() + (Number(response.data.expires_in) - 60) * 1000,
+    };
+    return token.value;
+  }
+
+  async function post(url, body) {
+    assertConfigured();
+
+    try {
+      const accessToken = await getAccessToken();
+      const response = await http.post(url, body, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      return response.data;
+    } catch (error) {
+      throw fromHttpError(NAME, error, getDarajaMessage);
+    }
+  }
+
+  function credentials() {
+    const timestamp = darajaTimestamp();
+    return {
+      BusinessShortCode: shortcode,
+      Password: Buffer.from(`${shortcode}${passkey}${timestamp}`).toString("base64"),
+      Timestamp: timestamp,
+    };
+  }
+
+  async function createPayment({ txRef, amount, currency, customer }) {
+    if (currency !== "KES") {
+      throw new PaymentProviderError(NAME, "unsupported_currency", "M-Pesa only accepts KES", {
+        status: 400,
+        errors: { currency: "M-Pesa only accepts KES" },
+      });
+    }
+    if (!Number.isInteger(amount)) {
+      throw new PaymentProviderError(NAME, "invalid_request", "M-Pesa amounts must be whole shillings", {
+        status: 400,
+        errors: { amount: "M-Pesa amounts must be whole shillings" },
+      });
+    }
+
+    const phone = normalizePhone(customer.phone);
+    if (!phone) {
+      throw new PaymentProviderError(NAME, "invalid_request", "A Safaricom phone number is required", {
+        status: 400,
+        errors: { phone: "Please enter a valid Safaricom phone number" },
+      });
+    }
+
+    const url = new URL(callbackUrl);
+    if (callbackToken) url.searchParams.set("token", callbackToken);
+
+    const body = await post("/mpesa/stkpush/v1/processrequest", {
+      ...credentials(),
+      TransactionType: "CustomerPayBillOnline",
+      Amount: amount,
+      PartyA: phone,
+      PartyB: shortcode,
+      PhoneNumber: phone,
+      CallBackURL: url.toString(),
+      // Daraja caps the account reference at 12 characters
+      AccountReference: txRef.replace(/[^a-zA-Z0-9]/g, "").slice(-12),
+      TransactionDesc: "Payment",
+    });
+
+    return {
+      link: null,
+      message: body.CustomerMessage || "Check your phone to complete the payment",
+      providerReference: body.CheckoutRequestID,
+    };
+  }
+
+  async function verify(payment) {
+    let body;
+    try {
+      body = await post("/mpesa/stkpushquery/v1/query", {
+        ...credentials(),
+        CheckoutRequestID: payment.providerReference,
+      });
+    } catch (error) {
+      const upstream = error.cause && error.cause.response && error.cause.response.data;
+      if (upstream && upstream.errorCode === STILL_PROCESSING) return { status: "pending" };
+      throw error;
+    }
+
+    const resultCode = String(body.ResultCode);
+    if (resultCode === "0") return { status: "successful", paymentType: "mpesa" };
+    if (resultCode === RESULT_CANCELLED) return { status: "cancelled" };
+    return { status: "failed" };
+  }
+
+  // Daraja callbacks are unsigned, so the callback URL carries a secret token
+  // and the outcome is always re-checked with the STK query API.
+  function parseWebhook(req) {
+    const received = Buffer.from(String(req.query.token || ""));
+    const expected = Buffer.from(callbackToken || "");
+    if (
+      !callbackToken ||
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      throw new PaymentProviderError(NAME, "invalid_signature", "Invalid callback token", {
+        status: 401,
+      });
+    }
+
+    const callback = req.body && req.body.Body && req.body.Body.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) return null;
+    return { providerReference: callback.CheckoutRequestID };
+  }
+
+  return { name: NAME, createPayment, verify, parseWebhook };
+}
+
+module.exports = { createMpesaProvider };
@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { PaymentProviderError, fromHttpError, notConfigured } = require("./errors");
+
+const NAME = "stripe";
+// Currencies Stripe expects in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ["UGX"];
+// Reject webhook signatures older than this to limit replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function minorUnitFactor(currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100;
+}
+
+function toStatus(session) {
+  if (session.payment_status === "paid") return "successful";
+  // Expired unpaid: the customer cancelled or abandoned the checkout
+  if (session.status === "expired") return "cancelled";
+  return "pending";
+}
+
+// Stripe-Signature looks like `t=1700000000,v1=<hex>,v1=<hex>`
+function parseSignatureHeader(header) {
+  const parts = { timestamp: null, signatures: [] };
+  String(header || "")
+    .split(",")
+    .forEach((item) => {
+      const [key, value] = item.split("=");
+      if (key === "t") parts.timestamp = Number(value);
+      if (key === "v1" && value) parts.signatures.push(value);
+    });
+  return parts;
+}
+
+// Stripe Checkout adapter for card payments. Talks to the REST API directly
+// so we don't need the Stripe SDK for three calls.
+function createStripeProvider({ baseUrl, secretKey, webhookSecret }) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    headers: { Authorization: `Bearer ${secretKey}` },
+  });
+
+  async function call(request) {
+    if (!secretKey) throw notConfigured(NAME);
+
+    try {
+      const response = await request();
+      return response.data;
+    } catch (error) {
+      throw fromHttpError(NAME, error, (body) => body && body.error && body.error.message);
+    }
+  }
+
+  async function createPayment({ txRef, amount, currency, customer, callbackUrl }) {
+    const successUrl = new URL(callbackUrl);
+    successUrl.searchParams.set("tx_ref", txRef);
+    const cancelUrl = new URL(successUrl);
+    cancelUrl.searchParams.set("status", "cancelled");
+
+    const form = new URLSearchParams({
+      mode: "payment",
+      success_url: successUrl.toString(),
+      cancel_url: cancelUrl.toString(),
+      client_reference_id: txRef,
+      customer_email: customer.email,
+      "metadata[tx_ref]": txRef,
+      "line_items[0][quantity]": "1",
+      "line_items[0][price_data][currency]": currency.toLowerCase(),
+      "line_items[0][price_data][unit_amount]": String(
+        Math.round(amount * minorUnitFactor(currency))
+      ),
+      "line_items[0][price_data][product_data][name]": `Payment ${txRef}`,
+    });
+
+    const session = await call(() => http.post("/v1/checkout/sessions", form));
+    return { link: session.url, message: "Checkout session created", providerReference: session.id };
+  }
+
+  // A customer leaving through cancel_url (`status: "cancelled"`) leaves the
+  // session open, and payable, for up to a day. Expiring it settles that: once
+  // Stripe confirms the session expired unpaid, the payment is cancelled. If
+  // it was paid in the meantime, Stripe refuses to expire it.
+  async function verify(payment, { status } = {}) {
+    const sessionUrl = `/v1/checkout/sessions/${encodeURIComponent(payment.providerReference)}`;
+    let session = await call(() => http.get(sessionUrl));
+    if (status === "cancelled" && session.status === "open") {
+      session = await call(() => http.post(`${sessionUrl}/expire`));
+    }
+    const currency = String(session.currency || "").toUpperCase();
+
+    return {
+      status: toStatus(session),
+      transactionId: session.payment_intent,
+      paymentType: "card",
+      amount: session.amount_total / minorUnitFactor(currency),
+      currency,
+    };
+  }
+
+  // Checks the Stripe-Signature header against the raw request body, which
+  // server.js keeps on `req.rawBody` for exactly this purpose.
+  function parseWebhook(req) {
+    const { timestamp, signatures } = parseSignatureHeader(req.get("stripe-signature"));
+    const expected = webhookSecret && req.rawBody
+      ? crypto
+          .createHmac("sha256", webhookSecret)
+          .update(`${timestamp}.${req.rawBody}`)
+          .digest("hex")
+      : null;
+    const isFresh =
+      timestamp && Math.abs(Date.now() / 1000 - timestamp) <= SIGNATURE_TOLERANCE_SECONDS;
+    const matches =
+      expected &&
+      signatures.some(
+        (signature) =>
+          signature.length === expected.length &&
+          crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+      );
+
+    if (!isFresh || !matches) {
+      throw new PaymentProviderError(NAME, "invalid_signature", "Invalid webhook signature", {
+        status: 401,
+      });
+    }
+
+    const event = req.body || {};
+    if (!String(event.type).startsWith("checkout.session.")) return null;
+
+    const session = (event.data && event.data.object) || {};
+    return { txRef: session.client_reference_id, providerReference: session.id };
+  }
+
+  return { name: NAME, createPayment, verify, parseWebhook };
+}
+
+module.exports = { createStripeProvider };
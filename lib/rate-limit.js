@@ -0,0 +1,60 @@
+const { HttpError } = require("./errors");
+
+// In-memory fixed-window rate limiting. Every request counts against each key
+// `keys(req)` returns (say its IP and the email it is for); once any of those
+// keys has been seen more than `max` times in its `windowMs` window, requests
+// get a 429 with Retry-After until the window ends. Counts live in this
+// process, so with several server processes each one allows `max`.
+function createRateLimiter({
+  windowMs,
+  max,
+  keys,
+  message = "Too many requests, please try again later",
+}) {
+  // key -> { count, resetAt }
+  const hits = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const exceeded = keys(req)
+      .filter(Boolean)
+      .map((key) => {
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+          entry = { count: 0, resetAt: now + windowMs };
+          hits.set(key, entry);
+        }
+        entry.count += 1;
+        return entry;
+      })
+      .filter((entry) => entry.count > max);
+
+    if (exceeded.length === 0) return next();
+
+    const resetAt = Math.max(...exceeded.map((entry) => entry.resetAt));
+    res.setHeader("Retry-After", String(Math.ceil((resetAt - now) / 1000)));
+    next(new HttpError(429, "rate_limited", message));
+  };
+}
+
+// Key helpers for keys(req)
+function ipKey(req) {
+  return `ip:${req.ip}`;
+}
+
+function emailKey(email) {
+  return typeof email === "string" && email.trim()
+    ? `email:${email.trim().toLowerCase()}`
+    : null;
+}
+
+module.exports = { createRateLimiter, ipKey, emailKey };
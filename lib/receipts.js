@@ -0,0 +1,307 @@
+const PDFDocument = require("pdfkit");
+const { createJsonStore } = require("./json-store");
+
+const SELLER = "Vibe Hackathon Payments";
+const PROVIDER_NAMES = { flutterwave: "Flutterwave", mpesa: "M-Pesa", stripe: "Stripe" };
+
+function formatReceiptNumber(number) {
+  return `VP-${String(number).padStart(6, "0")}`;
+}
+
+// Intl separates parts with non-breaking spaces, which the PDF's built-in
+// fonts can't draw; plain spaces look the same
+function plainSpaces(text) {
+  return text.replace(/\s/g, " ");
+}
+
+// "KES 1,500.00"; the code rather than a symbol, since "$" alone could be
+// any of several dollars
+function formatAmount(amount, currency) {
+  try {
+    return plainSpaces(
+      new Intl.NumberFormat("en", {
+        style: "currency",
+        currency,
+        currencyDisplay: "code",
+      }).format(Number(amount))
+    );
+  } catch (error) {
+    return `${currency} ${amount}`;
+  }
+}
+
+function formatTimestamp(timestamp) {
+  const formatted = new Intl.DateTimeFormat("en-GB", {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "UTC",
+  }).format(new Date(timestamp));
+  return `${plainSpaces(formatted)} UTC`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Everything a receipt shows, formatted for display
+function toReceiptDetails(receipt, payment) {
+  const customer = payment.customer || {};
+  const paid = (payment.history || []).find((entry) => entry.status === "successful");
+  const provider = PROVIDER_NAMES[payment.provider] || payment.provider || "Unknown";
+
+  return {
+    number: receipt.number,
+    txRef: payment.tx_ref,
+    customerName: customer.name || "",
+    customerEmail: customer.email || "",
+    amount: formatAmount(payment.amount, payment.currency),
+    paymentMethod: payment.payment_type ? `${provider} (${payment.payment_type})` : provider,
+    paidAt: formatTimestamp(paid ? paid.at : payment.updatedAt),
+    issuedAt: formatTimestamp(receipt.issuedAt),
+  };
+}
+
+function receiptRows(details) {
+  return [
+    ["Receipt number", details.number],
+    ["Date paid", details.paidAt],
+    ["Customer", details.customerName],
+    ["Email", details.customerEmail],
+    ["Payment method", details.paymentMethod],
+    ["Transaction reference", details.txRef],
+  ];
+}
+
+// A standalone page with inline styles, so it also works as an email body
+function renderReceiptHtml(details) {
+  const rows = receiptRows(details)
+    .map(
+      ([label, value]) =>
+        `<tr><th style="text-align:left;padding:6px 12px 6px 0;color:#555;font-weight:600">${escapeHtml(label)}</th>` +
+        `<td style="padding:6px 0">${escapeHtml(value)}</td></tr>`
+    )
+    .join("\n        ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Receipt ${escapeHtml(details.number)}</title>
+</head>
+<body style="font-family:'Segoe UI',Tahoma,Geneva,Verdana,sans-serif;color:#222;max-width:560px;margin:24px auto;padding:0 16px">
+  <h1 style="font-size:22px;margin-bottom:4px">Payment receipt</h1>
+  <p style="margin-top:0;color:#555">${escapeHtml(SELLER)}</p>
+  <p style="font-size:28px;font-weight:bold;margin:24px 0">${escapeHtml(details.amount)}</p>
+  <table style="border-collapse:collapse">
+    <tbody>
+        ${rows}
+    </tbody>
+  </table>
+  <p style="margin-top:24px;color:#555;font-size:13px">Issued ${escapeHtml(details.issuedAt)}. Thank you for your payment.</p>
+</body>
+</html>
+`;
+}
+
+function renderReceiptText(details) {
+  const lines = receiptRows(details).map(([label, value]) => `${label}: ${value}`);
+  return [
+    `Payment receipt - ${SELLER}`,
+    "",
+    `Amount paid: ${details.amount}`,
+    ...lines,
+    "",
+    `Issued ${details.issuedAt}. Thank you for your payment.`,
+    "",
+  ].join("\n");
+}
+
+// Resolves with the receipt as a PDF buffer
+function renderReceiptPdf(details) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 56,
+      info: { Title: `Receipt ${details.number}`, Author: SELLER },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(22).text("Payment receipt");
+    doc.font("Helvetica").fontSize(11).fillColor("#555555").text(SELLER);
+    doc.moveDown(1.5);
+    doc.font("Helvetica-Bold").fontSize(26).fillColor("#222222").text(details.amount);
+    doc.moveDown(1);
+
+    for (const [label, value] of receiptRows(details)) {
+      const y = doc.y;
+      doc.font("Helvetica-Bold").fontSize(11).fillColor("#555555").text(label, 56, y, { width: 160 });
+      doc.font("Helvetica").fillColor("#222222").text(value, 226, y, { width: 313 });
+      doc.moveDown(0.6);
+    }
+
+    doc.moveDown(1.5);
+    doc
+      .fontSize(9)
+      .fillColor("#555555")
+      .text(`Issued ${details.issuedAt}. Thank you for your payment.`, 56);
+    doc.end();
+  });
+}
+
+// Numbered receipts for successful payments, persisted next to the ledger and
+// keyed by tx_ref. Numbers run in order and are never reused. Issuing is
+// idempotent, so a webhook and the customer's return settling the same
+// payment share one receipt, and only the first emails it.
+//
+// New receipts are emailed to the customer in the background with the PDF
+// attached; each receipt records how that went in `email` ({ status:
+// "pending" | "sent" | "failed" | "disabled", attempts, lastError, sentAt }).
+// `mailer` is a lib/mailer.js mailer or null to skip email, `loadPayment`
+// looks a payment up by tx_ref and `receiptUrl(txRef)` is the download link
+// put in the email.
+function createReceiptService(filePath, { mailer, loadPayment, receiptUrl }) {
+  const store = createJsonStore(filePath, { lastNumber: 0, receipts: {} });
+
+  async function get(txRef) {
+    const { receipts } = await store.read();
+    return receipts[txRef] || null;
+  }
+
+  function recordEmail(txRef, changes) {
+    return store.update((data) => {
+      const receipt = data.receipts[txRef];
+      if (receipt) Object.assign(receipt.email, changes);
+      return receipt || null;
+    });
+  }
+
+  async function email(receipt, payment) {
+    const details = toReceiptDetails(receipt, payment);
+    const pdf = await renderReceiptPdf(details);
+    let failures = 0;
+
+    try {
+      await mailer.send(
+        {
+          to: details.customerName
+            ? { name: details.customerName, address: details.customerEmail }
+            : details.customerEmail,
+          subject: `Your receipt ${details.number} for ${details.amount}`,
+          text: `${renderReceiptText(details)}\nDownload it again at ${receiptUrl(details.txRef)}\n`,
+          html: renderReceiptHtml(details),
+          attachments: [
+            {
+              filename: `receipt-${details.number}.pdf`,
+              content: pdf,
+              contentType: "application/pdf",
+            },
+          ],
+        },
+        {
+          onAttempt: ({ attempt, error, retryInMs }) => {
+            failures = attempt;
+            const retry = retryInMs === null ? "giving up" : `retrying in ${retryInMs}ms`;
+            console.error(`Receipt ${details.number} email attempt ${attempt} failed, ${retry}:`, error.message);
+            return recordEmail(receipt.tx_ref, {
+              status: retryInMs === null ? "failed" : "pending",
+              attempts: attempt,
+              lastError: error.message,
+            });
+          },
+        }
+      );
+      await recordEmail(receipt.tx_ref, {
+        status: "sent",
+        attempts: failures + 1,
+        lastError: null,
+        sentAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      // Already recorded as failed by onAttempt
+    }
+  }
+
+  // Sends the receipt without holding up the caller; failures only end up in
+  // the receipt's email status and the log
+  function emailInBackground(receipt, payment) {
+    email(receipt, payment).catch((error) => {
+      console.error(`Could not email receipt ${receipt.number}:`, error.message);
+    });
+  }
+
+  // Issues the receipt for a successful payment, or returns the one it has.
+  // Emails it when it is new.
+  async function issue(payment) {
+    if (payment.status !== "successful") {
+      throw new Error(`Payment ${payment.tx_ref} is ${payment.status}, not successful`);
+    }
+
+    const { receipt, created } = await store.update((data) => {
+      const existing = data.receipts[payment.tx_ref];
+      if (existing) return { receipt: existing, created: false };
+
+      data.lastNumber += 1;
+      const receipt = {
+        number: formatReceiptNumber(data.lastNumber),
+        tx_ref: payment.tx_ref,
+        issuedAt: new Date().toISOString(),
+        email: {
+          status: mailer ? "pending" : "disabled",
+          attempts: 0,
+          lastError: null,
+          sentAt: null,
+        },
+      };
+      data.receipts[payment.tx_ref] = receipt;
+      return { receipt, created: true };
+    });
+
+    if (created && mailer) emailInBackground(receipt, payment);
+    return receipt;
+  }
+
+  // Picks up emails that were still being retried when the server stopped
+  async function resumeEmails() {
+    if (!mailer) return;
+    const { receipts } = await store.read();
+    for (const receipt of Object.values(receipts)) {
+      if (receipt.email.status !== "pending") continue;
+      const payment = await loadPayment(receipt.tx_ref);
+      if (payment) emailInBackground(receipt, payment);
+    }
+  }
+
+  // The receipt as { contentType, filename, body } in "html" or "pdf"
+  async function render(receipt, payment, format = "html") {
+    const details = toReceiptDetails(receipt, payment);
+    if (format === "pdf") {
+      return {
+        contentType: "application/pdf",
+        filename: `receipt-${details.number}.pdf`,
+        body: await renderReceiptPdf(details),
+      };
+    }
+    return {
+      contentType: "text/html",
+      filename: `receipt-${details.number}.html`,
+      body: renderReceiptHtml(details),
+    };
+  }
+
+  return { get, issue, render, resumeEmails };
+}
+
+module.exports = {
+  createReceiptService,
+  toReceiptDetails,
+  renderReceiptHtml,
+  renderReceiptPdf,
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const { createJsonStore } = require("./json-store");
+const { createCsrfToken } = require("./csrf");
+const { HttpError } = require("./errors");
+
+const COOKIE_NAME = "vp_session";
+// A session ends after a day without requests, and after 30 days no matter what
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Only a hash of each session id is stored, so a copy of sessions.json can't
+// be turned back into working cookies.
+function hashId(id) {
+  return crypto.createHash("sha256").update(id).digest("hex");
+}
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // A malformed value is treated as no cookie at all
+    }
+  }
+  return cookies;
+}
+
+// Cookie-based sessions persisted next to the other JSON stores. The cookie
+// is HTTP-only and SameSite=Lax (plus Secure when `secure` is set) and holds
+// a random id; everything else stays on the server. Sessions slide: once
+// less than half of `ttlMs` is left, the next request pushes the expiry out
+// again and re-sends the cookie, up to `maxAgeMs` after sign-in.
+// `loadUser(id)` turns a session's user id into the user record.
+function createSessionManager(
+  filePath,
+  { loadUser, secure = false, ttlMs = DEFAULT_TTL_MS, maxAgeMs = DEFAULT_MAX_AGE_MS }
+) {
+  const store = createJsonStore(filePath, { sessions: {} });
+
+  function isExpired(session, now = Date.now()) {
+    return now >= Date.parse(session.expiresAt);
+  }
+
+  function expiryFor(session, now) {
+    return new Date(Math.min(now + ttlMs, Date.parse(session.createdAt) + maxAgeMs));
+  }
+
+  function setCookie(res, id, expiresAt) {
+    res.cookie(COOKIE_NAME, id, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure,
+      path: "/",
+      expires: expiresAt,
+    });
+  }
+
+  function sessionId(req) {
+    return parseCookies(req.get("Cookie"))[COOKIE_NAME];
+  }
+
+  async function save(id, session) {
+    await store.update((data) => {
+      for (const [key, existing] of Object.entries(data.sessions)) {
+        if (isExpired(existing)) delete data.sessions[key];
+      }
+      if (session) {
+        data.sessions[hashId(id)] = session;
+      } else {
+        delete data.sessions[hashId(id)];
+      }
+    });
+  }
+
+  // Forgets the session the request came with, if any
+  async function end(req) {
+    const id = sessionId(req);
+    if (id) await save(id, null);
+    req.session = null;
+    req.user = null;
+  }
+
+  // Signs `user` in on this response. Any session the request came with is
+  // ended first, so an id planted before sign-in is never upgraded.
+  async function create(req, res, user) {
+    await end(req);
+
+    const id = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    const session = {
+      userId: user.id,
+      csrfToken: createCsrfToken(),
+      createdAt: new Date(now).toISOString(),
+    };
+    session.expiresAt = expiryFor(session, now).toISOString();
+
+    await save(id, session);
+    setCookie(res, id, new Date(session.expiresAt));
+    req.session = session;
+    req.user = user;
+    return session;
+  }
+
+  function clearCookie(res) {
+    res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: "lax", secure, path: "/" });
+  }
+
+  // Signs out: ends the session and tells the browser to drop the cookie
+  async function destroy(req, res) {
+    await end(req);
+    clearCookie(res);
+  }
+
+  // Express middleware setting req.session and req.user (null when signed out)
+  async function middleware(req, res, next) {
+    req.session = null;
+    req.user = null;
+
+    const id = sessionId(req);
+    if (!id) return next();
+
+    try {
+      const { sessions } = await store.read();
+      const session = sessions[hashId(id)];
+      const user = session && !isExpired(session) ? await loadUser(session.userId) : null;
+      if (!user) {
+        clearCookie(res);
+        return next();
+      }
+
+      const now = Date.now();
+      const refresh = Date.parse(session.expiresAt) - now < ttlMs / 2;
+      // Sessions from before CSRF tokens existed get one now
+      const needsToken = !session.csrfToken;
+      if (refresh) {
+        session.expiresAt = expiryFor(session, now).toISOString();
+        setCookie(res, id, new Date(session.expiresAt));
+      }
+      if (needsToken) {
+        session.csrfToken = createCsrfToken();
+      }
+      if (refresh || needsToken) {
+        await save(id, session);
+      }
+
+      req.session = session;
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Route guard answering 401 for requests without a signed-in user
+  function requireUser(req, res, next) {
+    if (req.user) return next();
+    next(new HttpError(401, "unauthenticated", "Please sign in first"));
+  }
+
+  return { create, destroy, middleware, requireUser };
+}
+
+module.exports = { createSessionManager };
@@ -0,0 +1,180 @@
+// Listing, filtering and exporting the payment ledger for the admin
+// dashboard. Query parameters are validated the same way request bodies are:
+// errors are keyed by parameter name so the page can show each one next to
+// its filter.
+
+const { STATUSES } = require("./payments");
+
+const SORT_FIELDS = ["createdAt", "updatedAt", "amount", "status", "currency", "email"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = [
+  "tx_ref",
+  "createdAt",
+  "updatedAt",
+  "status",
+  "amount",
+  "currency",
+  "customerName",
+  "customerEmail",
+  "provider",
+];
+
+function parseDate(value) {
+  if (!DATE_REGEX.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00.000Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+function parsePositiveInteger(value) {
+  return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
+// Turns ?status=&email=&from=&to=&sort=&order=&page=&pageSize= into options
+// for queryTransactions(). Everything is optional; `from` and `to` are
+// YYYY-MM-DD days (UTC) and both ends are inclusive. `email` matches any
+// part of the customer's email, case-insensitively.
+function parseTransactionQuery(query = {}) {
+  const text = (name) => (typeof query[name] === "string" ? query[name].trim() : "");
+  const errors = {};
+
+  const status = text("status").toLowerCase() || undefined;
+  if (status !== undefined && status !== "all" && !STATUSES.includes(status)) {
+    errors.status = `Status must be one of all, ${STATUSES.join(", ")}`;
+  }
+
+  const email = text("email").toLowerCase() || undefined;
+
+  const from = text("from") ? parseDate(text("from")) : undefined;
+  if (from === null) errors.from = "From must be a date like 2025-01-31";
+  const toDay = text("to") ? parseDate(text("to")) : undefined;
+  if (toDay === null) errors.to = "To must be a date like 2025-01-31";
+  // Include the whole of the last day
+  const to = typeof toDay === "number" ? toDay + 24 * 60 * 60 * 1000 - 1 : toDay;
+  if (typeof from === "number" && typeof to === "number" && from > to) {
+    errors.to = "To must not be before From";
+  }
+
+  const sort = text("sort") || "createdAt";
+  if (!SORT_FIELDS.includes(sort)) {
+    errors.sort = `Sort must be one of ${SORT_FIELDS.join(", ")}`;
+  }
+  const order = text("order").toLowerCase() || (sort === "createdAt" ? "desc" : "asc");
+  if (order !== "asc" && order !== "desc") {
+    errors.order = "Order must be asc or desc";
+  }
+
+  const page = text("page") ? parsePositiveInteger(text("page")) : 1;
+  if (page === null) errors.page = "Page must be a whole number from 1";
+  const pageSize = text("pageSize") ? parsePositiveInteger(text("pageSize")) : DEFAULT_PAGE_SIZE;
+  if (pageSize === null || pageSize > MAX_PAGE_SIZE) {
+    errors.pageSize = `Page size must be between 1 and ${MAX_PAGE_SIZE}`;
+  }
+
+  return {
+    errors,
+    isValid: Object.keys(errors).length === 0,
+    values: {
+      status: status === "all" ? undefined : status,
+      email,
+      from,
+      to,
+      sort,
+      order,
+      page,
+      pageSize,
+    },
+  };
+}
+
+// The columns the dashboard and the CSV show for one ledger entry
+function toTransaction(payment) {
+  const customer = payment.customer || {};
+  return {
+    tx_ref: payment.tx_ref,
+    createdAt: payment.createdAt,
+    updatedAt: payment.updatedAt,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    customerName: customer.name || "",
+    customerEmail: customer.email || "",
+    provider: payment.provider || "",
+  };
+}
+
+function compareBy(sort) {
+  switch (sort) {
+    case "amount":
+      return (a, b) => Number(a.amount) - Number(b.amount);
+    case "email":
+      return (a, b) => a.customerEmail.localeCompare(b.customerEmail);
+    case "createdAt":
+    case "updatedAt":
+      return (a, b) => Date.parse(a[sort]) - Date.parse(b[sort]);
+    default:
+      return (a, b) => String(a[sort]).localeCompare(String(b[sort]));
+  }
+}
+
+// Filters and sorts ledger entries with options from parseTransactionQuery().
+// Without `paginate` every match is returned, as the CSV export needs.
+function queryTransactions(payments, options, { paginate = true } = {}) {
+  const { status, email, from, to, sort, order, page, pageSize } = options;
+  const compare = compareBy(sort);
+
+  const matches = payments
+    .map(toTransaction)
+    .filter((tx) => {
+      const createdAt = Date.parse(tx.createdAt);
+      return (
+        (status === undefined || tx.status === status) &&
+        (email === undefined || tx.customerEmail.toLowerCase().includes(email)) &&
+        (from === undefined || createdAt >= from) &&
+        (to === undefined || createdAt <= to)
+      );
+    })
+    // Ties keep the newest first so pages stay stable
+    .sort((a, b) => {
+      const result = order === "desc" ? compare(b, a) : compare(a, b);
+      return result || Date.parse(b.createdAt) - Date.parse(a.createdAt);
+    });
+
+  if (!paginate) {
+    return { items: matches, total: matches.length };
+  }
+
+  const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const start = (page - 1) * pageSize;
+  return {
+    items: matches.slice(start, start + pageSize),
+    total: matches.length,
+    page,
+    pageSize,
+    pages,
+  };
+}
+
+// Quotes a CSV field. Values that a spreadsheet would run as a formula are
+// prefixed with an apostrophe, since customer names come from user input.
+function csvField(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(transactions) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const tx of transactions) {
+    lines.push(CSV_COLUMNS.map((column) => csvField(tx[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  parseTransactionQuery,
+  queryTransactions,
+  toCsv,
+};
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { createJsonStore } = require("./json-store");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+class DuplicateEmailError extends Error {
+  constructor(email) {
+    super(`An account with ${email} already exists`);
+    this.name = "DuplicateEmailError";
+  }
+}
+
+// Stored as `scrypt$<salt>$<hash>` so the scheme can change later without
+// breaking existing records.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+// Checks a password against a stored `scrypt$<salt>$<hash>` value in
+// constant time.
+async function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, keyHex] = passwordHash.split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, "hex");
+  const key = await scrypt(password, Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Hashed against when an email is unknown, so a failed sign-in takes as long
+// whether or not the account exists.
+const DUMMY_HASH = hashPassword("not a real password");
+
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+// Strips the password hash before a user record leaves the server.
+function toPublicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function createUserStore(filePath) {
+  const store = createJsonStore(filePath, { users: [] });
+
+  async function findByEmail(email) {
+    const { users } = await store.read();
+    return users.find((user) => user.email === normalizeEmail(email)) || null;
+  }
+
+  async function findById(id) {
+    const { users } = await store.read();
+    return users.find((user) => user.id === id) || null;
+  }
+
+  // Resolves with the user when the email and password match, otherwise null.
+  async function authenticate(email, password) {
+    const user = await findByEmail(email);
+    const matches = await verifyPassword(password, user ? user.passwordHash : await DUMMY_HASH);
+    return user && matches ? user : null;
+  }
+
+  async function create({ name, email, password }) {
+    const passwordHash = await hashPassword(password);
+
+    return store.update((data) => {
+      const normalized = normalizeEmail(email);
+      if (data.users.some((user) => user.email === normalized)) {
+        throw new DuplicateEmailError(normalized);
+      }
+
+      const user = {
+        id: crypto.randomUUID(),
+        name,
+        email: normalized,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+      };
+      data.users.push(user);
+      return user;
+    });
+  }
+
+  return { findByEmail, findById, authenticate, create };
+}
+
+module.exports = { createUserStore, toPublicUser, DuplicateEmailError };
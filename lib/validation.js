@@ -0,0 +1,83 @@
+// Server-side validation. The rules themselves live in
+// public/validation-rules.js, which the browser loads as well, so both sides
+// report the same messages. Error keys match the form field names so the
+// client can render each message into the field's `.error-message` span.
+
+const {
+  schemas,
+  validate,
+  isValidEmail,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+} = require("../public/validation-rules");
+
+const DEFAULT_CURRENCY = "KES";
+
+function validateRegistration(body = {}) {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  const password = typeof body.password === "string" ? body.password : "";
+  const { errors, isValid } = validate(schemas.registration, body);
+
+  return {
+    errors,
+    isValid,
+    values: { name, email, password },
+  };
+}
+
+function validateLogin(body = {}) {
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  const password = typeof body.password === "string" ? body.password : "";
+  const { errors, isValid } = validate(schemas.login, body);
+
+  return {
+    errors,
+    isValid,
+    values: { email, password },
+  };
+}
+
+// `providers` lists the payment providers the server knows about; an
+// explicit `provider` in the body has to be one of them. The customer's name
+// and email are not part of the body: /pay takes them from the session.
+function validatePayment(body = {}, { providers = [] } = {}) {
+  const rawAmount =
+    typeof body.amount === "number" || typeof body.amount === "string"
+      ? String(body.amount).trim()
+      : "";
+  const amount = Number(rawAmount);
+  const currency =
+    body.currency === undefined
+      ? DEFAULT_CURRENCY
+      : String(body.currency).trim().toUpperCase();
+  const provider =
+    typeof body.provider === "string" && body.provider.trim() !== ""
+      ? body.provider.trim().toLowerCase()
+      : undefined;
+  const phone = typeof body.phone === "string" ? body.phone.trim() : undefined;
+
+  const { errors } = validate(schemas.payment, {
+    amount: rawAmount,
+    currency,
+  });
+
+  if (provider !== undefined && !providers.includes(provider)) {
+    errors.provider = `Provider must be one of ${providers.join(", ")}`;
+  }
+
+  return {
+    errors,
+    isValid: Object.keys(errors).length === 0,
+    values: { amount, currency, provider, phone },
+  };
+}
+
+module.exports = {
+  isValidEmail,
+  validateRegistration,
+  validateLogin,
+  validatePayment,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+};
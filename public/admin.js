@@ -0,0 +1,271 @@
+// Admin dashboard
+// Lists the payments /pay has started, from GET /api/admin/transactions.
+// The status tabs pick which payments are shown, the filter form narrows
+// them by customer email and date, and the column headers sort them. The
+// CSV export link always carries the same filters as the table.
+// Loaded after script.js, which provides the widgets and notifications.
+
+const ADMIN_API_URL = API_BASE_URL + '/admin/transactions';
+
+// Function that builds the query string for the transactions API
+// Parameters:
+// - filters: { status, email, from, to, sort, order, page, pageSize }
+// - names: Which filters to include
+// Returns: A query string starting with '?', or '' when every filter is empty
+function buildTransactionQuery(filters, names) {
+    const params = new URLSearchParams();
+    names.forEach(function(name) {
+        if (filters[name]) {
+            params.set(name, filters[name]);
+        }
+    });
+    const query = params.toString();
+    return query ? '?' + query : '';
+}
+
+// Function that fetches one page of transactions
+// Parameter:
+// - filters: See buildTransactionQuery
+// Returns: A promise resolving to { ok, status, data }
+function fetchTransactions(filters) {
+    const query = buildTransactionQuery(filters, ['status', 'email', 'from', 'to', 'sort', 'order', 'page', 'pageSize']);
+    return fetch(ADMIN_API_URL + query).then(function(response) {
+        return response.json().then(function(data) {
+            return { ok: response.ok, status: response.status, data: data };
+        });
+    });
+}
+
+// Function that formats an amount in its currency, e.g. "KES 1,500.00"
+// Parameters:
+// - amount: The amount as stored in the ledger
+// - currency: An ISO currency code
+// Returns: The formatted amount
+function formatAmount(amount, currency) {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(Number(amount));
+    } catch (error) {
+        return currency + ' ' + amount;
+    }
+}
+
+// Function that formats an ISO timestamp in the admin's locale
+function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    const dashboard = document.getElementById('transactions-dashboard');
+    if (!dashboard) {
+        return;
+    }
+    
+    const statusTabs = document.getElementById('transaction-tabs');
+    const filterForm = document.getElementById('transaction-filters');
+    const results = document.getElementById('transactions-results');
+    const tableBody = document.getElementById('transactions-body');
+    const summary = document.getElementById('transactions-summary');
+    const prevPageBtn = document.getElementById('prev-page-btn');
+    const nextPageBtn = document.getElementById('next-page-btn');
+    const exportLink = document.getElementById('export-csv');
+    const sortButtons = Array.from(dashboard.querySelectorAll('.sort-btn'));
+    
+    // The tab names the status; 'all' sends none
+    function statusFromTab(tabId) {
+        return tabId === 'all' ? '' : tabId;
+    }
+    
+    const activeTab = statusTabs.querySelector('.tab-btn.active');
+    const filters = {
+        status: statusFromTab(activeTab ? activeTab.getAttribute('data-tab') : 'all'),
+        email: '',
+        from: '',
+        to: '',
+        sort: 'createdAt',
+        order: 'desc',
+        page: 1,
+        pageSize: filterForm.elements.pageSize.value
+    };
+    
+    // Only the newest request may update the table
+    let latestRequest = 0;
+    
+    // Shows the server's errors next to the filters they belong to
+    // Parameter:
+    // - errors: Messages keyed by filter name; {} clears them
+    function showFilterErrors(errors) {
+        ['email', 'from', 'to', 'pageSize'].forEach(function(name) {
+            const errorElement = document.getElementById('filter-' + name + '-error');
+            errorElement.textContent = errors[name] || '';
+            errorElement.classList.toggle('show', !!errors[name]);
+        });
+    }
+    
+    function showSort() {
+        sortButtons.forEach(function(btn) {
+            const header = btn.closest('th');
+            if (btn.getAttribute('data-sort') === filters.sort) {
+                header.setAttribute('aria-sort', filters.order === 'asc' ? 'ascending' : 'descending');
+            } else {
+                header.setAttribute('aria-sort', 'none');
+            }
+        });
+    }
+    
+    function updateExportLink() {
+        exportLink.href = ADMIN_API_URL + '.csv' + buildTransactionQuery(filters, ['status', 'email', 'from', 'to', 'sort', 'order']);
+    }
+    
+    // Replaces the table body with a single row spanning every column
+    function showMessageRow(text) {
+        tableBody.innerHTML = '';
+        const row = tableBody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.className = 'transactions-empty';
+        cell.textContent = text;
+    }
+    
+    // Function that renders one page of transactions
+    // Parameter:
+    // - data: { items, total, page, pages } from the API
+    function renderTransactions(data) {
+        if (data.items.length === 0) {
+            showMessageRow('No transactions match these filters.');
+        } else {
+            tableBody.innerHTML = '';
+            data.items.forEach(function(tx) {
+                const row = tableBody.insertRow();
+                row.insertCell().textContent = tx.tx_ref;
+                row.insertCell().textContent = formatDateTime(tx.createdAt);
+                
+                const customerCell = row.insertCell();
+                customerCell.textContent = tx.customerName;
+                const email = document.createElement('span');
+                email.className = 'transaction-email';
+                email.textContent = tx.customerEmail;
+                customerCell.appendChild(email);
+                
+                const amountCell = row.insertCell();
+                amountCell.className = 'transaction-amount';
+                amountCell.textContent = formatAmount(tx.amount, tx.currency);
+                
+                const badge = document.createElement('span');
+                badge.className = 'status-badge status-' + tx.status;
+                badge.textContent = tx.status;
+                row.insertCell().appendChild(badge);
+                
+                row.insertCell().textContent = tx.provider;
+            });
+        }
+        
+        summary.textContent = data.total + (data.total === 1 ? ' transaction' : ' transactions') +
+            ', page ' + data.page + ' of ' + data.pages;
+        prevPageBtn.disabled = data.page <= 1;
+        nextPageBtn.disabled = data.page >= data.pages;
+    }
+    
+    // Function that loads the transactions for the current filters
+    function loadTransactions() {
+        const request = ++latestRequest;
+        showSort();
+        updateExportLink();
+        results.setAttribute('aria-busy', 'true');
+        
+        fetchTransactions(filters)
+            .then(function(result) {
+                if (request !== latestRequest) {
+                    return;
+                }
+                if (result.ok) {
+                    showFilterErrors({});
+                    renderTransactions(result.data);
+                } else if (result.status === 401) {
+                    showMessageRow('Your session has ended.');
+                    notifications.warning('Please sign in again to see transactions.', {
+                        actions: [{ label: 'Sign in', onClick: function() {
+                            window.location.href = '/#login';
+                        } }]
+                    });
+                } else {
+                    showFilterErrors(result.data.errors || {});
+                    notifications.error(result.data.error || 'Could not load transactions', { title: 'Transactions' });
+                }
+            })
+            .catch(function() {
+                if (request !== latestRequest) {
+                    return;
+                }
+                showMessageRow('Could not load transactions.');
+                notifications.error('Could not reach the server.', {
+                    title: 'Transactions',
+                    actions: [{ label: 'Try again', onClick: loadTransactions }]
+                });
+            })
+            .finally(function() {
+                if (request === latestRequest) {
+                    results.removeAttribute('aria-busy');
+                }
+            });
+    }
+    
+    // Each status tab shows the same table, moved into its pane
+    statusTabs.addEventListener('change', function(e) {
+        if (!e.detail || !e.detail.tab) {
+            return;
+        }
+        document.getElementById(e.detail.tab).appendChild(results);
+        filters.status = statusFromTab(e.detail.tab);
+        filters.page = 1;
+        loadTransactions();
+    });
+    
+    filterForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        filters.email = filterForm.elements.email.value.trim();
+        filters.from = filterForm.elements.from.value;
+        filters.to = filterForm.elements.to.value;
+        filters.pageSize = filterForm.elements.pageSize.value;
+        filters.page = 1;
+        loadTransactions();
+    });
+    
+    // Clearing the form also clears the filters it had applied
+    filterForm.addEventListener('reset', function() {
+        setTimeout(function() {
+            filterForm.dispatchEvent(new Event('submit', { cancelable: true }));
+        }, 0);
+    });
+    
+    // A second click on the sorted column reverses the order
+    sortButtons.forEach(function(btn) {
+        btn.addEventListener('click', function() {
+            const field = this.getAttribute('data-sort');
+            if (filters.sort === field) {
+                filters.order = filters.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                filters.sort = field;
+                filters.order = field === 'createdAt' || field === 'amount' ? 'desc' : 'asc';
+            }
+            filters.page = 1;
+            loadTransactions();
+        });
+    });
+    
+    prevPageBtn.addEventListener('click', function() {
+        filters.page = Math.max(1, filters.page - 1);
+        loadTransactions();
+    });
+    
+    nextPageBtn.addEventListener('click', function() {
+        filters.page += 1;
+        loadTransactions();
+    });
+    
+    // The tabs may have opened another view from the URL before this ran
+    if (activeTab) {
+        document.getElementById(activeTab.getAttribute('data-tab')).appendChild(results);
+    }
+    loadTransactions();
+});
@@ -0,0 +1,3454 @@
+// Global variable to demonstrate scope
+// This variable is accessible from all functions in the script
+// 1 is normal speed, 2 twice as fast, 0.5 half as fast, 0 no animation at all;
+// change it through setAnimationSpeed() so style.css follows along
+let globalAnimationSpeed = 1.0;
+
+// Base URL of the Express API in server.js, which also serves this page
+const API_BASE_URL = '/api';
+
+// ======================================================================
+// CUSTOM FUNCTIONS WITH SCOPE AWARENESS, PARAMETERS, AND RETURN VALUES
+// ======================================================================
+//
+// This script demonstrates several key JavaScript concepts:
+//
+// 1. SCOPE AWARENESS:
+//    - Global variables (e.g., globalAnimationSpeed) accessible from all functions
+//    - Local variables (e.g., sizeFactor, config) accessible only within their function
+//    - Private variables (e.g., count in createScopedCounter) accessible only through returned methods
+//
+// 2. PARAMETERS AND RETURN VALUES:
+//    - All new functions accept parameters to customize their behavior
+//    - All new functions return useful values (numbers, objects, result objects)
+//
+// 3. FUNCTION REUSABILITY:
+//    - Functions can be reused to control animations, trigger DOM changes, or calculate values
+//
+// ======================================================================
+
+// Function that turns a colour around the colour wheel
+// Saturation and lightness stay the same, so the result keeps the colour's feel
+// Parameters:
+// - hex: A colour in #rrggbb form
+// - degrees: How far to turn the hue (may be negative)
+// Returns: The shifted colour in #rrggbb form, or hex unchanged if it isn't #rrggbb
+function shiftHue(hex, degrees) {
+    if (!/^#[0-9a-f]{6}$/i.test(hex)) {
+        return hex;
+    }
+    
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const chroma = max - min;
+    let hue = 0;
+    if (chroma !== 0) {
+        if (max === r) {
+            hue = ((g - b) / chroma) % 6;
+        } else if (max === g) {
+            hue = (b - r) / chroma + 2;
+        } else {
+            hue = (r - g) / chroma + 4;
+        }
+    }
+    hue = ((hue * 60 + degrees) % 360 + 360) % 360;
+    
+    // Back from HSL to RGB
+    const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+    const sector = Math.floor(hue / 60);
+    const rgb = [
+        [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+        [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+    ][sector];
+    const m = lightness - chroma / 2;
+    return '#' + rgb.map(function(c) {
+        return Math.round((c + m) * 255).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+// Function that calculates animation duration based on parameters
+// Demonstrates parameters and return values
+// Parameters:
+// - baseDuration: The base duration in milliseconds
+// - speedMultiplier: A multiplier to adjust the speed (globalAnimationSpeed can be used here);
+//   2 halves the duration, 0 means no animation
+// - elementSize: The size of the element in pixels
+// Returns: The calculated duration in milliseconds
+function calculateAnimationDuration(baseDuration, speedMultiplier, elementSize) {
+    // No animation at all: clean up right away
+    if (speedMultiplier <= 0) {
+        return 0;
+    }
+    
+    // Local variables to demonstrate scope
+    // These variables are only accessible within this function
+    let sizeFactor = elementSize / 100;
+    let adjustedDuration = baseDuration / speedMultiplier * sizeFactor;
+    
+    // Return the calculated duration
+    return adjustedDuration;
+}
+
+// Function that changes the animation speed for both JS and CSS
+// Updates globalAnimationSpeed and the --animation-scale custom property that
+// style.css multiplies its durations by, so timers and animations stay in step
+// Parameter:
+// - speed: The new speed (e.g. 0.25 to 3), or 0 to turn animations off
+// Returns: The speed that was applied
+function setAnimationSpeed(speed) {
+    globalAnimationSpeed = speed;
+    document.documentElement.style.setProperty('--animation-scale', speed > 0 ? String(1 / speed) : '0');
+    return globalAnimationSpeed;
+}
+
+// Function that creates reusable animation configurations
+// Demonstrates parameters and return values
+// Parameters:
+// - type: The type of animation (e.g., 'pulse', 'slide', 'fade')
+// - duration: The duration of the animation in milliseconds
+// - easing: The easing function to use (default: 'ease')
+// Returns: An object containing the animation configuration
+function createAnimationConfig(type, duration, easing = 'ease') {
+    // Local variable to demonstrate scope
+    // This variable is only accessible within this function
+    const config = {
+        animationType: type,
+        duration: duration,
+        easing: easing,
+        timestamp: new Date().toISOString()
+    };
+    
+    // Return the configuration object
+    return config;
+}
+
+// Function that returns computed styles for elements
+// Demonstrates parameters and return values
+// Parameter:
+// - element: The DOM element to get computed styles for
+// Returns: An object containing relevant animation styles
+function getComputedAnimationStyles(element) {
+    // Local variable to demonstrate scope
+    // This variable is only accessible within this function
+    const computedStyles = window.getComputedStyle(element);
+    
+    // Return an object with relevant animation styles
+    return {
+        animationName: computedStyles.animationName,
+        animationDuration: computedStyles.animationDuration,
+        animationTimingFunction: computedStyles.animationTimingFunction,
+        transform: computedStyles.transform,
+        opacity: computedStyles.opacity
+    };
+}
+
+// Keyframes for animations played through the Web Animations API, keyed by
+// the animation type passed to createAnimationConfig
+const animationKeyframes = {
+    glow: [
+        { boxShadow: '0 0 0 rgba(0, 123, 255, 0)' },
+        { boxShadow: '0 0 15px rgba(0, 123, 255, 0.5)', offset: 0.3 },
+        { boxShadow: '0 0 15px rgba(0, 123, 255, 0.5)', offset: 0.7 },
+        { boxShadow: '0 0 0 rgba(0, 123, 255, 0)' }
+    ],
+    float: [
+        { transform: 'translateY(0px)', opacity: 1 },
+        { transform: 'translateY(-10px)', opacity: 1, offset: 0.5 },
+        { transform: 'translateY(0px)', opacity: 0 }
+    ],
+    fadeIn: [
+        { opacity: 0 },
+        { opacity: 1 }
+    ],
+    toastIn: [
+        { transform: 'translateX(100%)', opacity: 0 },
+        { transform: 'translateX(0)', opacity: 1 }
+    ],
+    toastOut: [
+        { transform: 'translateX(0)', opacity: 1 },
+        { transform: 'translateX(100%)', opacity: 0 }
+    ]
+};
+
+// Function that creates the animation runner every widget plays its animations through
+// Animations are described by createAnimationConfig objects and played either
+// with the Web Animations API (play) or by adding a CSS class and waiting for
+// its animationend (playClass). Animating an element that is already animating
+// cancels the running animation first, so rapid clicks restart cleanly
+// instead of stacking overlapping timers.
+// Parameter:
+// - keyframes: An object mapping animation types to Web Animations keyframes
+// Returns: An object with play, playClass, cancel, isAnimating and getState methods
+// Every play returns a promise resolving to { element, name, finished }, where
+// finished is false if the animation was cancelled or restarted
+function createAnimationRunner(keyframes) {
+    // Private per-element state: the animation each element is running
+    const running = new WeakMap();
+    
+    function cancel(element) {
+        const entry = running.get(element);
+        if (entry) {
+            entry.stop();
+        }
+    }
+    
+    // Registers an animation for an element and wraps it in a promise
+    // start(done) begins the animation, calls done() when it ends on its own,
+    // and returns a function that stops it early
+    function track(element, name, start) {
+        cancel(element);
+        
+        return new Promise(function(resolve) {
+            let settled = false;
+            const entry = { name: name, startedAt: Date.now(), stop: function() {} };
+            
+            function settle(finished) {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                if (running.get(element) === entry) {
+                    running.delete(element);
+                }
+                resolve({ element: element, name: name, finished: finished });
+            }
+            
+            running.set(element, entry);
+            const stopAnimation = start(function() {
+                settle(true);
+            });
+            entry.stop = function() {
+                stopAnimation();
+                settle(false);
+            };
+        });
+    }
+    
+    // Duration of a config at the current globalAnimationSpeed
+    function durationOf(config) {
+        return calculateAnimationDuration(parseFloat(config.duration), globalAnimationSpeed, 100);
+    }
+    
+    return {
+        // Plays keyframes[config.animationType] with element.animate()
+        // Pass frames to animate between values only known at run time
+        play: function(element, config, frames = keyframes[config.animationType]) {
+            const duration = durationOf(config);
+            
+            return track(element, config.animationType, function(done) {
+                if (!frames || duration === 0 || typeof element.animate !== 'function') {
+                    done();
+                    return function() {};
+                }
+                
+                const animation = element.animate(frames, { duration: duration, easing: config.easing });
+                animation.onfinish = done;
+                return function() {
+                    animation.cancel();
+                };
+            });
+        },
+        // Adds className (whose CSS runs the animation) and removes it again on animationend
+        // A timer based on the config's duration covers animations that never
+        // report their end, e.g. because the element is hidden
+        playClass: function(element, className, config) {
+            const timeout = durationOf(config) + 50;
+            
+            return track(element, className, function(done) {
+                let timer = null;
+                
+                function cleanup() {
+                    clearTimeout(timer);
+                    element.removeEventListener('animationend', onAnimationEnd);
+                    element.classList.remove(className);
+                }
+                
+                function onAnimationEnd(e) {
+                    if (e.target === element) {
+                        cleanup();
+                        done();
+                    }
+                }
+                
+                // Remove and re-add the class so a running CSS animation restarts
+                element.classList.remove(className);
+                void element.offsetWidth;
+                element.classList.add(className);
+                
+                element.addEventListener('animationend', onAnimationEnd);
+                timer = setTimeout(function() {
+                    cleanup();
+                    done();
+                }, timeout);
+                
+                return cleanup;
+            });
+        },
+        cancel: cancel,
+        isAnimating: function(element) {
+            return running.has(element);
+        },
+        // Returns { name, startedAt } for a running animation, or null
+        getState: function(element) {
+            const entry = running.get(element);
+            return entry ? { name: entry.name, startedAt: entry.startedAt } : null;
+        }
+    };
+}
+
+// The one runner shared by the whole page
+const animationRunner = createAnimationRunner(animationKeyframes);
+
+// Function that creates the notification service every part of the page reports through
+// Toasts slide into a corner of the page, newest at the bottom. At most
+// maxVisible are shown at once; the rest wait in a queue and appear as
+// others are dismissed. Each toast closes itself after its duration, which
+// follows globalAnimationSpeed like every other timer on the page, and the
+// countdown pauses while the pointer is over the toast or focus is inside it.
+// The toasts live in an aria-live region so screen readers announce them;
+// errors use role="alert" so they interrupt.
+// Parameters:
+// - options: { container, maxVisible } where container defaults to #notifications
+//   (created on first use) and maxVisible to 3
+// Returns: An object with show, success, error, info, warning, dismiss and clear methods
+function createNotificationService(options = {}) {
+    const maxVisible = options.maxVisible || 3;
+    // How long each type stays up at normal speed, in ms; 0 stays until dismissed
+    const defaultDurations = { success: 5000, info: 5000, warning: 8000, error: 0 };
+    // Faster animation speeds shorten toasts, but never below this
+    const minimumDuration = 2000;
+    const slideInConfig = createAnimationConfig('toastIn', 300, 'ease-out');
+    const slideOutConfig = createAnimationConfig('toastOut', 300, 'ease-in');
+    
+    let container = options.container || null;
+    let nextId = 1;
+    // Toasts on screen and toasts waiting for a free slot, oldest first
+    const visible = [];
+    const queue = [];
+    
+    function getContainer() {
+        if (!container) {
+            container = document.getElementById('notifications');
+        }
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'notifications';
+            container.className = 'toast-region';
+            container.setAttribute('aria-live', 'polite');
+            container.setAttribute('aria-label', 'Notifications');
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+    
+    // A toast's display time at the current globalAnimationSpeed; with
+    // animations turned off it keeps its normal duration
+    function scaledDuration(duration) {
+        if (duration <= 0 || globalAnimationSpeed <= 0) {
+            return duration;
+        }
+        return Math.max(duration / globalAnimationSpeed, minimumDuration);
+    }
+    
+    function render(toast) {
+        const element = document.createElement('div');
+        element.className = 'toast toast-' + toast.type;
+        element.setAttribute('role', toast.type === 'error' ? 'alert' : 'status');
+        
+        const body = document.createElement('div');
+        body.className = 'toast-body';
+        if (toast.title) {
+            const title = document.createElement('strong');
+            title.className = 'toast-title';
+            title.textContent = toast.title;
+            body.appendChild(title);
+        }
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        message.textContent = toast.message;
+        body.appendChild(message);
+        element.appendChild(body);
+        
+        if (toast.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'toast-actions';
+            toast.actions.forEach(function(action) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', function() {
+                    if (action.dismiss !== false) {
+                        dismiss(toast.id);
+                    }
+                    action.onClick(toast.handle);
+                });
+                actions.appendChild(button);
+            });
+            element.appendChild(actions);
+        }
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'toast-close';
+        closeBtn.setAttribute('aria-label', 'Dismiss notification');
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', function() {
+            dismiss(toast.id);
+        });
+        element.appendChild(closeBtn);
+        
+        // Hold the countdown while the toast is being read or used
+        element.addEventListener('mouseenter', function() {
+            toast.hovered = true;
+            pause(toast);
+        });
+        element.addEventListener('mouseleave', function() {
+            toast.hovered = false;
+            resume(toast);
+        });
+        element.addEventListener('focusin', function() {
+            toast.focused = true;
+            pause(toast);
+        });
+        element.addEventListener('focusout', function(e) {
+            if (!element.contains(e.relatedTarget)) {
+                toast.focused = false;
+                resume(toast);
+            }
+        });
+        
+        return element;
+    }
+    
+    function pause(toast) {
+        if (toast.timer === null) {
+            return;
+        }
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
+    }
+    
+    function resume(toast) {
+        if (toast.remaining === null || toast.timer !== null || toast.hovered || toast.focused) {
+            return;
+        }
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(function() {
+            dismiss(toast.id);
+        }, Math.max(toast.remaining, 0));
+    }
+    
+    function display(toast) {
+        toast.element = render(toast);
+        visible.push(toast);
+        getContainer().appendChild(toast.element);
+        animationRunner.play(toast.element, slideInConfig);
+        
+        const duration = scaledDuration(toast.duration);
+        toast.remaining = duration > 0 ? duration : null;
+        resume(toast);
+    }
+    
+    function showNext() {
+        while (visible.length < maxVisible && queue.length > 0) {
+            display(queue.shift());
+        }
+    }
+    
+    // Closes a toast, or drops it from the queue if it hasn't been shown yet
+    function dismiss(id) {
+        const queued = queue.findIndex(t => t.id === id);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            return;
+        }
+        
+        const index = visible.findIndex(t => t.id === id);
+        if (index === -1) {
+            return;
+        }
+        const toast = visible[index];
+        visible.splice(index, 1);
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = null;
+        
+        // Don't leave keyboard users stranded on a button that is about to disappear
+        const hadFocus = toast.element.contains(document.activeElement);
+        animationRunner.play(toast.element, slideOutConfig).then(function() {
+            if (toast.element.parentNode) {
+                toast.element.parentNode.removeChild(toast.element);
+            }
+            if (hadFocus && toast.returnFocus && document.contains(toast.returnFocus)) {
+                toast.returnFocus.focus();
+            }
+        });
+        showNext();
+    }
+    
+    // Shows a toast, or queues it when maxVisible are already on screen
+    // Parameter:
+    // - notification: { type, title, message, duration, actions } where type is
+    //   'success', 'error', 'info' or 'warning', duration is in ms (0 stays until
+    //   dismissed) and actions is a list of { label, onClick, dismiss } buttons;
+    //   onClick receives the toast's handle and the toast closes unless dismiss is false
+    // Returns: A handle with the toast's id and a dismiss method
+    function show(notification) {
+        const type = defaultDurations.hasOwnProperty(notification.type) ? notification.type : 'info';
+        const toast = {
+            id: nextId++,
+            type: type,
+            title: notification.title || '',
+            message: String(notification.message || ''),
+            duration: notification.duration === undefined ? defaultDurations[type] : notification.duration,
+            actions: notification.actions || [],
+            element: null,
+            timer: null,
+            remaining: null,
+            startedAt: 0,
+            hovered: false,
+            focused: false,
+            returnFocus: document.activeElement
+        };
+        toast.handle = {
+            id: toast.id,
+            dismiss: function() {
+                dismiss(toast.id);
+            }
+        };
+        
+        queue.push(toast);
+        showNext();
+        return toast.handle;
+    }
+    
+    // Shorthand for show() with the type filled in
+    function showType(type) {
+        return function(message, extra = {}) {
+            return show(Object.assign({}, extra, { type: type, message: message }));
+        };
+    }
+    
+    return {
+        show: show,
+        success: showType('success'),
+        error: showType('error'),
+        info: showType('info'),
+        warning: showType('warning'),
+        dismiss: dismiss,
+        // Closes every toast and empties the queue
+        clear: function() {
+            queue.length = 0;
+            visible.slice().forEach(function(toast) {
+                dismiss(toast.id);
+            });
+        }
+    };
+}
+
+// The one notification service shared by the whole page
+const notifications = createNotificationService();
+
+// Themes defined in style.css as [data-theme] sets of custom properties
+const THEMES = ['light', 'dark', 'high-contrast', 'ocean', 'sunset'];
+
+// Function that creates the theme manager
+// A theme preference is one of THEMES or 'auto', which shows the light or
+// dark theme to match the operating system and switches along with it. The
+// active theme is set as data-theme on the root element; a custom accent
+// colour overrides the theme's --color-accent.
+// Parameter:
+// - root: The element the theme applies to (default: <html>)
+// Returns: An object with setTheme, getTheme, getActiveTheme, setAccent and
+// getAccent methods
+function createThemeManager(root = document.documentElement) {
+    const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    let preference = 'auto';
+    let accent = null;
+    
+    function resolve(theme) {
+        if (theme === 'auto') {
+            return darkQuery.matches ? 'dark' : 'light';
+        }
+        return theme;
+    }
+    
+    function apply() {
+        root.setAttribute('data-theme', resolve(preference));
+    }
+    
+    // Black or white, whichever reads better on the colour
+    // Parameter:
+    // - hex: A colour in #rrggbb form
+    function contrastingText(hex) {
+        const channels = [1, 3, 5].map(function(i) {
+            const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        const luminance = 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+        return luminance > 0.179 ? '#000' : '#fff';
+    }
+    
+    // Follow the operating system while the preference is 'auto'
+    darkQuery.addEventListener('change', function() {
+        if (preference === 'auto') {
+            apply();
+        }
+    });
+    
+    return {
+        // Applies a theme name or 'auto'; anything else falls back to 'auto'
+        // Returns: The theme now showing, e.g. 'dark' for 'auto' on a dark system
+        setTheme: function(theme) {
+            preference = THEMES.indexOf(theme) !== -1 ? theme : 'auto';
+            apply();
+            return resolve(preference);
+        },
+        // The preference, which may be 'auto'
+        getTheme: function() {
+            return preference;
+        },
+        getActiveTheme: function() {
+            return resolve(preference);
+        },
+        // Sets a custom accent colour, or goes back to the theme's with null
+        // Parameter:
+        // - color: A colour in #rrggbb form, or null
+        // Returns: The custom accent colour, or null
+        setAccent: function(color) {
+            accent = /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : null;
+            if (accent) {
+                root.style.setProperty('--color-accent', accent);
+                root.style.setProperty('--color-accent-contrast', contrastingText(accent));
+            } else {
+                root.style.removeProperty('--color-accent');
+                root.style.removeProperty('--color-accent-contrast');
+            }
+            return accent;
+        },
+        // The accent colour in use: the custom one, or the theme's
+        getAccent: function() {
+            return accent || getComputedStyle(root).getPropertyValue('--color-accent').trim();
+        }
+    };
+}
+
+// Functions that show and hide a form field's error message with animation
+// Shared by every form on the page (registration, checkout)
+// Parameters:
+// - element: The .error-message span for the field
+// - message: The message to display
+function showError(element, message) {
+    element.textContent = message;
+    element.classList.add('show');
+}
+
+function hideError(element) {
+    element.textContent = '';
+    element.classList.remove('show');
+}
+
+// Function that creates a live validator for a form
+// Each field's rules come from the shared schema named by the form's
+// data-schema attribute (see validation-rules.js) or options.schema, plus its
+// own attributes: required, minlength, maxlength, pattern, type="email",
+// data-match="#other-field" and data-validate="rule-name ...". A
+// data-<rule>-message attribute overrides a rule's message.
+// Fields are checked when they lose focus and, once touched, as the user types
+// Parameters:
+// - form: The form element
+// - options: { schema, debounce } where debounce is the typing pause in ms (default: 300)
+// Returns: An object with validate, validateField, showErrors and reset methods
+function createFormValidator(form, options = {}) {
+    const schema = options.schema || ValidationRules.schemas[form.getAttribute('data-schema')] || {};
+    const debounce = options.debounce === undefined ? 300 : options.debounce;
+    
+    // Private per-field bookkeeping, keyed by field name
+    const touched = {};
+    const timers = {};
+    // Bumped on every check so an async answer that arrives late is ignored
+    const checkIds = {};
+    
+    function getFields() {
+        return Array.from(form.elements).filter(function(field) {
+            return field.name && !field.disabled && ['button', 'submit', 'reset'].indexOf(field.type) === -1;
+        });
+    }
+    
+    function getField(name) {
+        return getFields().find(f => f.name === name) || null;
+    }
+    
+    function getValues() {
+        const values = {};
+        getFields().forEach(function(field) {
+            values[field.name] = field.value;
+        });
+        return values;
+    }
+    
+    // Builds { trim, rules } for a field from the schema and its attributes
+    function fieldRules(field) {
+        const fromSchema = schema[field.name];
+        const checks = fromSchema ? fromSchema.rules.slice() : [];
+        
+        function add(rule, param) {
+            if (!checks.some(c => c.rule === rule)) {
+                checks.push({ rule: rule, param: param });
+            }
+        }
+        
+        if (field.required) {
+            add('required');
+        }
+        if (field.type === 'email') {
+            add('email');
+        }
+        ['minlength', 'maxlength', 'pattern'].forEach(function(attribute) {
+            if (field.hasAttribute(attribute)) {
+                add(attribute, field.getAttribute(attribute));
+            }
+        });
+        if (field.hasAttribute('data-match')) {
+            const other = form.querySelector(field.getAttribute('data-match'));
+            if (other) {
+                add('match', other.name);
+            }
+        }
+        (field.getAttribute('data-validate') || '').split(/\s+/).filter(Boolean).forEach(function(rule) {
+            add(rule);
+        });
+        
+        return {
+            trim: fromSchema ? fromSchema.trim : field.type !== 'password',
+            rules: checks.map(function(check) {
+                const message = field.getAttribute('data-' + check.rule.toLowerCase() + '-message');
+                return message ? Object.assign({}, check, { message: message }) : check;
+            })
+        };
+    }
+    
+    // The field's .error-message span: #<id>-error, or the one in its .form-group
+    function errorElementFor(field) {
+        const group = field.closest('.form-group');
+        return (field.id && document.getElementById(field.id + '-error')) ||
+            (group && group.querySelector('.error-message'));
+    }
+    
+    function render(field, message) {
+        const errorElement = errorElementFor(field);
+        field.setAttribute('aria-invalid', String(!!message));
+        if (!errorElement) {
+            return;
+        }
+        if (errorElement.id) {
+            field.setAttribute('aria-describedby', errorElement.id);
+        }
+        if (message) {
+            showError(errorElement, message);
+        } else {
+            hideError(errorElement);
+        }
+    }
+    
+    // Checks one field and shows or clears its message
+    // Returns: A promise resolving to the message, or null when valid
+    function validateField(name) {
+        const field = getField(name);
+        if (!field) {
+            return Promise.resolve(null);
+        }
+        
+        clearTimeout(timers[name]);
+        const checkId = (checkIds[name] || 0) + 1;
+        checkIds[name] = checkId;
+        
+        const result = ValidationRules.checkField(fieldRules(field), field.value, getValues());
+        const isAsync = result && typeof result.then === 'function';
+        if (isAsync) {
+            field.setAttribute('aria-busy', 'true');
+        }
+        
+        return Promise.resolve(result).catch(function() {
+            // A failing async check (e.g. the server is down) never blocks the form
+            return null;
+        }).then(function(message) {
+            if (checkIds[name] !== checkId) {
+                return message;
+            }
+            if (isAsync) {
+                field.removeAttribute('aria-busy');
+            }
+            render(field, message);
+            return message;
+        });
+    }
+    
+    // Re-checks touched fields that compare themselves with this one
+    function validateDependents(name) {
+        getFields().forEach(function(field) {
+            const other = field.hasAttribute('data-match') ? form.querySelector(field.getAttribute('data-match')) : null;
+            const schemaMatch = (schema[field.name] ? schema[field.name].rules : []).some(c => c.rule === 'match' && c.param === name);
+            if (touched[field.name] && ((other && other.name === name) || schemaMatch)) {
+                validateField(field.name);
+            }
+        });
+    }
+    
+    form.addEventListener('focusout', function(e) {
+        if (e.target.name && getField(e.target.name)) {
+            touched[e.target.name] = true;
+            validateField(e.target.name);
+        }
+    });
+    
+    form.addEventListener('input', function(e) {
+        const name = e.target.name;
+        if (!name || !getField(name)) {
+            return;
+        }
+        validateDependents(name);
+        if (touched[name]) {
+            clearTimeout(timers[name]);
+            timers[name] = setTimeout(function() {
+                validateField(name);
+            }, debounce);
+        }
+    });
+    
+    return {
+        // Checks every field, waiting for async rules
+        // Returns: A promise resolving to { isValid, errors, values }
+        validate: function() {
+            const fields = getFields();
+            return Promise.all(fields.map(function(field) {
+                touched[field.name] = true;
+                return validateField(field.name);
+            })).then(function(messages) {
+                const errors = {};
+                messages.forEach(function(message, index) {
+                    if (message) {
+                        errors[fields[index].name] = message;
+                    }
+                });
+                return { isValid: Object.keys(errors).length === 0, errors: errors, values: getValues() };
+            });
+        },
+        validateField: validateField,
+        // Shows errors from elsewhere (e.g. the server), keyed by field name
+        showErrors: function(errors) {
+            Object.keys(errors).forEach(function(name) {
+                const field = getField(name);
+                if (field) {
+                    touched[name] = true;
+                    render(field, errors[name]);
+                }
+            });
+        },
+        // Clears every message, e.g. after the form has been submitted
+        reset: function() {
+            getFields().forEach(function(field) {
+                clearTimeout(timers[field.name]);
+                checkIds[field.name] = (checkIds[field.name] || 0) + 1;
+                touched[field.name] = false;
+                field.removeAttribute('aria-invalid');
+                field.removeAttribute('aria-busy');
+                const errorElement = errorElementFor(field);
+                if (errorElement) {
+                    hideError(errorElement);
+                }
+            });
+        }
+    };
+}
+
+// Async rule for data-validate="email-available": asks the server whether an
+// account already uses the email. Answers are cached per address, and the
+// server checks again on submit, so a failed lookup lets the field pass.
+const emailAvailability = {};
+ValidationRules.defineRule('email-available', function(value) {
+    const email = value.trim().toLowerCase();
+    if (!(email in emailAvailability)) {
+        emailAvailability[email] = fetch(API_BASE_URL + '/register/email-available?email=' + encodeURIComponent(email))
+            .then(function(response) {
+                return response.ok ? response.json() : { available: true };
+            })
+            .then(function(data) {
+                return data.available !== false;
+            })
+            .catch(function() {
+                delete emailAvailability[email];
+                return true;
+            });
+    }
+    return emailAvailability[email];
+}, 'This email is already registered');
+
+// Function that demonstrates closure and scope
+// This function creates a counter object with private state
+// Parameters:
+// - initialValue: The initial value for the counter (default: 0)
+// - options: { min, max } bounds the count is kept within (default: unbounded)
+// Returns: An object with methods to manipulate the counter
+// Demonstrates:
+// - Closure: The returned methods have access to the 'count' variable even after the function has finished executing
+// - Scope: The 'count' variable is private to this function and cannot be accessed directly from outside
+function createScopedCounter(initialValue = 0, options = {}) {
+    // Local variables that are private to this function scope
+    // These variables cannot be accessed directly from outside the function
+    let count = initialValue;
+    let min = options.min === undefined ? -Infinity : options.min;
+    let max = options.max === undefined ? Infinity : options.max;
+    
+    // Applied operations (oldest first) and undone operations (newest last)
+    const undoStack = [];
+    const redoStack = [];
+    
+    function clamp(value) {
+        return Math.min(max, Math.max(min, value));
+    }
+    
+    // Moves the count and records the operation so it can be undone
+    // Operations that hit a bound and change nothing are not recorded
+    function apply(type, value) {
+        const from = count;
+        const to = clamp(value);
+        if (to !== from) {
+            count = to;
+            undoStack.push({ type: type, from: from, to: to, time: new Date().toISOString() });
+            redoStack.length = 0;
+        }
+        return count;
+    }
+    
+    // Return an object with methods that have access to the local variables
+    // This demonstrates closure - the methods "close over" the 'count' variable
+    return {
+        increment: function(step = 1) {
+            return apply('increment', count + step);
+        },
+        decrement: function(step = 1) {
+            return apply('decrement', count - step);
+        },
+        reset: function() {
+            return apply('reset', clamp(initialValue));
+        },
+        getValue: function() {
+            return count;
+        },
+        // Sets the count without recording history (used to restore saved state)
+        setValue: function(value) {
+            count = clamp(value);
+            return count;
+        },
+        // Changes the bounds and pulls the count back inside them if needed
+        setBounds: function(newMin, newMax) {
+            min = newMin === undefined ? -Infinity : newMin;
+            max = newMax === undefined ? Infinity : newMax;
+            count = clamp(count);
+            return count;
+        },
+        getBounds: function() {
+            return { min: min, max: max };
+        },
+        // Undo and redo keep the count inside the current bounds, which may
+        // have narrowed since the operation was recorded
+        undo: function() {
+            const operation = undoStack.pop();
+            if (operation) {
+                count = clamp(operation.from);
+                redoStack.push(operation);
+            }
+            return count;
+        },
+        redo: function() {
+            const operation = redoStack.pop();
+            if (operation) {
+                count = clamp(operation.to);
+                undoStack.push(operation);
+            }
+            return count;
+        },
+        canUndo: function() {
+            return undoStack.length > 0;
+        },
+        canRedo: function() {
+            return redoStack.length > 0;
+        },
+        // Returns a copy of the applied operations, oldest first
+        getHistory: function() {
+            return undoStack.slice();
+        }
+    };
+}
+
+// Function that creates a small state-persistence layer backed by localStorage
+// Each widget registers under a key with a restore callback; the saved value
+// (or the widget's default) is handed back on load and whenever another open
+// tab changes it, via the 'storage' event
+// Parameter:
+// - namespace: Prefix for every localStorage key (default: 'ui-state')
+// Returns: An object with methods to register widgets and save their state
+function createStatePersistence(namespace = 'ui-state') {
+    // Private map of registered widgets, keyed by state key
+    const widgets = {};
+    
+    function storageKey(key) {
+        return namespace + ':' + key;
+    }
+    
+    function parse(raw) {
+        try {
+            return raw === null ? undefined : JSON.parse(raw);
+        } catch (error) {
+            return undefined;
+        }
+    }
+    
+    function restore(key, value) {
+        const widget = widgets[key];
+        if (value === undefined) {
+            value = typeof widget.defaultValue === 'function' ? widget.defaultValue() : widget.defaultValue;
+        }
+        widget.restore(value);
+    }
+    
+    // Keep every open tab in sync with the one that changed the state
+    window.addEventListener('storage', function(event) {
+        if (!event.key || event.key.indexOf(namespace + ':') !== 0) {
+            return;
+        }
+        const key = event.key.slice(namespace.length + 1);
+        if (widgets[key]) {
+            restore(key, parse(event.newValue));
+        }
+    });
+    
+    return {
+        // options.restore(value) applies a value to the widget
+        // options.defaultValue is used when nothing is saved (may be a function)
+        register: function(key, options) {
+            widgets[key] = options;
+            restore(key, parse(localStorage.getItem(storageKey(key))));
+        },
+        save: function(key, value) {
+            try {
+                localStorage.setItem(storageKey(key), JSON.stringify(value));
+            } catch (error) {
+                // Private browsing or a full quota: the widget still works, it just won't persist
+                console.warn('Could not save UI state:', key, error);
+            }
+        },
+        // Stops restoring a widget that has been removed from the page
+        unregister: function(key) {
+            delete widgets[key];
+        },
+        clear: function(key) {
+            localStorage.removeItem(storageKey(key));
+        },
+        // Whether the user has saved a value for this key
+        has: function(key) {
+            return parse(localStorage.getItem(storageKey(key))) !== undefined;
+        }
+    };
+}
+
+// Stack of open modal controllers, topmost last
+// Only the topmost modal traps focus and reacts to Escape or backdrop clicks
+const openModals = [];
+
+// Function that creates a reusable modal dialog controller
+// Parameters:
+// - modal: The .modal backdrop element (its .modal-content is the dialog box)
+// - options: { onClose } called every time the modal closes
+// Returns: An object with open, close and isOpen methods
+// Any element inside the modal with a data-modal-close attribute closes it
+function createModalController(modal, options = {}) {
+    const content = modal.querySelector('.modal-content');
+    // The element that had focus when the modal opened; focus returns there on close
+    let trigger = null;
+    const closeAnimationConfig = createAnimationConfig('fadeOut', 300, 'ease');
+    
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    content.setAttribute('tabindex', '-1');
+    
+    function focusableElements() {
+        return Array.from(content.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.disabled && el.offsetParent !== null);
+    }
+    
+    function isOpen() {
+        return openModals.indexOf(controller) !== -1;
+    }
+    
+    function isTopmost() {
+        return openModals[openModals.length - 1] === controller;
+    }
+    
+    function open(openedBy) {
+        if (isOpen()) {
+            return;
+        }
+        // Stop a close animation that is still playing
+        animationRunner.cancel(modal);
+        trigger = openedBy || document.activeElement;
+        
+        // Each stacked modal sits above the one that opened it
+        modal.style.zIndex = 1000 + openModals.length * 10;
+        modal.classList.remove('hide');
+        modal.classList.add('show');
+        openModals.push(controller);
+        document.body.classList.add('modal-open');
+        
+        const focusable = focusableElements();
+        (focusable[0] || content).focus();
+    }
+    
+    function close() {
+        if (!isOpen()) {
+            return;
+        }
+        openModals.splice(openModals.indexOf(controller), 1);
+        if (openModals.length === 0) {
+            document.body.classList.remove('modal-open');
+        }
+        
+        // Hide popup modal with the slide/fade out animation
+        modal.classList.remove('show');
+        animationRunner.playClass(modal, 'hide', closeAnimationConfig).then(function(result) {
+            if (result.finished) {
+                modal.style.zIndex = '';
+            }
+        });
+        
+        if (trigger && document.body.contains(trigger)) {
+            trigger.focus();
+        }
+        if (options.onClose) {
+            options.onClose();
+        }
+    }
+    
+    // Keeps Tab and Shift+Tab cycling inside the dialog
+    function handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+            return;
+        }
+        if (e.key !== 'Tab') {
+            return;
+        }
+        
+        const focusable = focusableElements();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            content.focus();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !content.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !content.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    modal.addEventListener('click', function(e) {
+        // A click on the backdrop itself (outside .modal-content) closes the modal
+        if ((e.target === modal && isTopmost()) || e.target.closest('[data-modal-close]')) {
+            close();
+        }
+    });
+    
+    const controller = {
+        open: open,
+        close: close,
+        isOpen: isOpen,
+        handleKeydown: handleKeydown
+    };
+    return controller;
+}
+
+// Keyboard handling for whichever modal is on top of the stack
+document.addEventListener('keydown', function(e) {
+    const topmost = openModals[openModals.length - 1];
+    if (topmost) {
+        topmost.handleKeydown(e);
+    }
+});
+
+// Function that creates the registry behind declarative widgets
+// Markup opts in with data-widget="<name>" (plus data-* options such as
+// data-step="5"); every matching element gets its own independent instance.
+// Instances are created on start and for markup inserted later, and destroyed
+// when their element is removed from the page.
+// Returns: An object with define, init, destroy, get and start methods
+function createWidgetRegistry() {
+    // Private map of widget names to their factories
+    const definitions = {};
+    // Live instances, keyed by their root element
+    const instances = new WeakMap();
+    let context = {};
+    let observer = null;
+    
+    // Every [data-widget] element in a subtree, including the subtree's root
+    function widgetElements(root) {
+        if (!root.querySelectorAll) {
+            return [];
+        }
+        const found = Array.from(root.querySelectorAll('[data-widget]'));
+        if (root.hasAttribute('data-widget')) {
+            found.unshift(root);
+        }
+        return found;
+    }
+    
+    function initElement(element) {
+        const name = element.getAttribute('data-widget');
+        if (instances.has(element) || !definitions[name]) {
+            return;
+        }
+        
+        // Listeners added with this signal are removed on destroy
+        const controller = new AbortController();
+        const state = createWidgetState(context.state, element.getAttribute('data-state-key'));
+        
+        try {
+            const instance = definitions[name](element, Object.assign({}, element.dataset), {
+                state: state,
+                signal: controller.signal
+            }) || {};
+            instances.set(element, { name: name, api: instance, controller: controller, state: state });
+        } catch (error) {
+            controller.abort();
+            state.unregisterAll();
+            console.error('Could not initialise widget:', name, error);
+        }
+    }
+    
+    function destroyElement(element) {
+        const entry = instances.get(element);
+        if (!entry) {
+            return;
+        }
+        instances.delete(element);
+        entry.controller.abort();
+        entry.state.unregisterAll();
+        if (typeof entry.api.destroy === 'function') {
+            entry.api.destroy();
+        }
+    }
+    
+    return {
+        // factory(element, options, context) wires one instance and may return
+        // an API object; its destroy() is called after the listeners are removed
+        // context.state persists under the element's data-state-key, if any
+        define: function(name, factory) {
+            definitions[name] = factory;
+        },
+        init: function(root) {
+            widgetElements(root).forEach(initElement);
+        },
+        destroy: function(root) {
+            widgetElements(root).forEach(destroyElement);
+        },
+        // The API object of the instance on an element, or null
+        get: function(element) {
+            const entry = instances.get(element);
+            return entry ? entry.api : null;
+        },
+        // Initialises everything under root and keeps watching it for
+        // inserted and removed widgets
+        // Parameter:
+        // - options.state: The createStatePersistence instance widgets save into
+        start: function(root, options = {}) {
+            context = options;
+            this.init(root);
+            
+            if (observer) {
+                observer.disconnect();
+            }
+            observer = new MutationObserver(function(mutations) {
+                mutations.forEach(function(mutation) {
+                    mutation.removedNodes.forEach(function(node) {
+                        // Nodes that are only being moved stay initialised
+                        if (!node.isConnected) {
+                            widgetElements(node).forEach(destroyElement);
+                        }
+                    });
+                    mutation.addedNodes.forEach(function(node) {
+                        widgetElements(node).forEach(initElement);
+                    });
+                });
+            });
+            observer.observe(root, { childList: true, subtree: true });
+        }
+    };
+}
+
+// Function that gives one widget instance its own slice of the page state
+// Keys are prefixed with the instance's data-state-key; instances without one
+// start from their defaults every time and save nothing
+// Parameters:
+// - state: A createStatePersistence instance (may be undefined)
+// - stateKey: The element's data-state-key, or null
+// Returns: An object with register, save, has and unregisterAll methods
+function createWidgetState(state, stateKey) {
+    const registered = [];
+    const persistent = !!(state && stateKey);
+    
+    return {
+        // suffix is appended to the state key, e.g. '-settings'
+        register: function(suffix, options) {
+            if (!persistent) {
+                options.restore(typeof options.defaultValue === 'function' ? options.defaultValue() : options.defaultValue);
+                return;
+            }
+            registered.push(stateKey + suffix);
+            state.register(stateKey + suffix, options);
+        },
+        save: function(suffix, value) {
+            if (persistent) {
+                state.save(stateKey + suffix, value);
+            }
+        },
+        has: function(suffix) {
+            return persistent && state.has(stateKey + suffix);
+        },
+        unregisterAll: function() {
+            registered.splice(0).forEach(function(key) {
+                state.unregister(key);
+            });
+        }
+    };
+}
+
+// Widget that implements a counter with step sizes, bounds, undo/redo and a timed challenge
+// Markup: a .counter-value element and buttons with data-action="increment",
+// "decrement", "reset", "undo" or "redo". Optional parts: .counter-step,
+// .counter-min and .counter-max inputs, a .counter-history list and the
+// .challenge-btn, .challenge-status, .challenge-best and .challenge-results
+// elements. data-shortcuts turns on the + / - / 0 keyboard shortcuts.
+// Parameters:
+// - root: The [data-widget="counter"] element
+// - options: data-initial, data-step, data-min and data-max
+// - context: { state, signal } from the widget registry
+// Returns: An object with getValue and destroy methods
+function createCounterWidget(root, options, context) {
+    const state = context.state;
+    const signal = context.signal;
+    
+    function find(selector) {
+        return root.querySelector(selector);
+    }
+    
+    const counterElement = find('.counter-value');
+    const undoBtn = find('[data-action="undo"]');
+    const redoBtn = find('[data-action="redo"]');
+    const counterStepInput = find('.counter-step');
+    const counterMinInput = find('.counter-min');
+    const counterMaxInput = find('.counter-max');
+    const counterHistoryList = find('.counter-history');
+    
+    // Reads a bound; an empty value means "no bound"
+    function parseBound(value) {
+        return value === undefined || String(value).trim() === '' ? undefined : parseInt(value, 10);
+    }
+    
+    // Create a scoped counter using our new function
+    const scopedCounter = createScopedCounter(parseInt(options.initial, 10) || 0, {
+        min: parseBound(options.min),
+        max: parseBound(options.max)
+    });
+    const defaultStep = parseInt(options.step, 10) > 0 ? parseInt(options.step, 10) : 1;
+    
+    // Create an animation configuration for the counter
+    const counterAnimationConfig = createAnimationConfig('pulse', 500, 'ease-in-out');
+    
+    function getCounterStep() {
+        const step = counterStepInput ? parseInt(counterStepInput.value, 10) : defaultStep;
+        return step > 0 ? step : 1;
+    }
+    
+    // Labels for the history list, e.g. "+5 (3 → 8)"
+    function describeOperation(operation) {
+        const change = operation.to - operation.from;
+        const label = operation.type === 'reset' ? 'Reset' : (change > 0 ? '+' : '') + change;
+        return label + ' (' + operation.from + ' → ' + operation.to + ')';
+    }
+    
+    function renderCounterHistory() {
+        if (counterHistoryList) {
+            counterHistoryList.innerHTML = '';
+            scopedCounter.getHistory().reverse().forEach(function(operation) {
+                const item = document.createElement('li');
+                item.textContent = describeOperation(operation);
+                counterHistoryList.appendChild(item);
+            });
+        }
+        if (undoBtn) {
+            undoBtn.disabled = !scopedCounter.canUndo();
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !scopedCounter.canRedo();
+        }
+    }
+    
+    // Shows a new count with the pulse animation, saves it and checks the challenge
+    function showCount(newCount) {
+        counterElement.textContent = newCount;
+        state.save('', newCount);
+        renderCounterHistory();
+        checkChallenge(newCount);
+        
+        // Pulse the count; a quick second click restarts the pulse
+        animationRunner.playClass(counterElement, 'counter-animation', counterAnimationConfig);
+    }
+    
+    // Every counter action, shared by the buttons and keyboard shortcuts
+    const counterActions = {
+        increment: function() { return scopedCounter.increment(getCounterStep()); },
+        decrement: function() { return scopedCounter.decrement(getCounterStep()); },
+        reset: function() { return scopedCounter.reset(); },
+        undo: function() { return scopedCounter.undo(); },
+        redo: function() { return scopedCounter.redo(); }
+    };
+    
+    root.querySelectorAll('[data-action]').forEach(function(button) {
+        const action = counterActions[button.getAttribute('data-action')];
+        if (action) {
+            button.addEventListener('click', function() {
+                showCount(action());
+            }, { signal: signal });
+        }
+    });
+    
+    // Keyboard shortcuts: + increments, - decrements, 0 resets
+    // Ignored while typing in a form field or when another widget handled the key
+    if (options.shortcuts !== undefined) {
+        const counterShortcuts = { '+': 'increment', '=': 'increment', '-': 'decrement', '0': 'reset' };
+        document.addEventListener('keydown', function(e) {
+            const action = counterShortcuts[e.key];
+            if (!action || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, textarea, select, [contenteditable], .modal')) {
+                return;
+            }
+            e.preventDefault();
+            showCount(counterActions[action]());
+        }, { signal: signal });
+    }
+    
+    // Step and bounds settings
+    if (counterStepInput && counterMinInput && counterMaxInput) {
+        const applyCounterSettings = function() {
+            const newCount = scopedCounter.setBounds(parseBound(counterMinInput.value), parseBound(counterMaxInput.value));
+            counterElement.textContent = newCount;
+            state.save('', newCount);
+            state.save('-settings', {
+                step: counterStepInput.value,
+                min: counterMinInput.value,
+                max: counterMaxInput.value
+            });
+        };
+        
+        [counterStepInput, counterMinInput, counterMaxInput].forEach(function(input) {
+            input.addEventListener('change', applyCounterSettings, { signal: signal });
+        });
+        
+        // Restore the settings first so the saved count is clamped to the saved bounds
+        state.register('-settings', {
+            defaultValue: { step: String(defaultStep), min: options.min || '', max: options.max || '' },
+            restore: function(settings) {
+                counterStepInput.value = settings.step;
+                counterMinInput.value = settings.min;
+                counterMaxInput.value = settings.max;
+                counterElement.textContent = scopedCounter.setBounds(parseBound(counterMinInput.value), parseBound(counterMaxInput.value));
+            }
+        });
+    }
+    
+    // Restore the last count
+    state.register('', {
+        defaultValue: scopedCounter.getValue(),
+        restore: function(value) {
+            counterElement.textContent = scopedCounter.setValue(value);
+        }
+    });
+    
+    // Timed Challenge
+    // Reach the target count before the countdown ends; the fastest win is kept as the best score
+    const challengeBtn = find('.challenge-btn');
+    const challengeStatus = find('.challenge-status');
+    const challengeBest = find('.challenge-best');
+    const challengeResults = find('.challenge-results');
+    const CHALLENGE_SECONDS = 20;
+    
+    // The running challenge ({ target, startedAt, timer }), or null
+    let challenge = null;
+    let bestChallengeTime = null;
+    
+    // Picks a target a few steps away from the current count, inside the bounds
+    function pickChallengeTarget() {
+        const bounds = scopedCounter.getBounds();
+        const current = scopedCounter.getValue();
+        const distance = getCounterStep() * (3 + Math.floor(Math.random() * 8));
+        const up = Math.min(bounds.max, current + distance);
+        const down = Math.max(bounds.min, current - distance);
+        
+        // Go whichever way has room, preferring a random direction
+        if (up !== current && (down === current || Math.random() < 0.5)) {
+            return up;
+        }
+        return down;
+    }
+    
+    function addChallengeResult(text) {
+        const item = document.createElement('li');
+        item.textContent = text;
+        challengeResults.insertBefore(item, challengeResults.firstChild);
+    }
+    
+    function endChallenge(won) {
+        clearInterval(challenge.timer);
+        const elapsed = (Date.now() - challenge.startedAt) / 1000;
+        
+        if (won) {
+            challengeStatus.textContent = 'You reached ' + challenge.target + ' in ' + elapsed.toFixed(1) + 's!';
+            addChallengeResult('Won: reached ' + challenge.target + ' in ' + elapsed.toFixed(1) + 's');
+            if (bestChallengeTime === null || elapsed < bestChallengeTime) {
+                state.save('-best', elapsed);
+                challengeBest.textContent = elapsed.toFixed(1) + 's';
+                bestChallengeTime = elapsed;
+            }
+        } else {
+            challengeStatus.textContent = 'Time is up! The target was ' + challenge.target + '.';
+            addChallengeResult('Lost: target ' + challenge.target + ', stopped at ' + scopedCounter.getValue());
+        }
+        
+        challenge = null;
+        challengeBtn.textContent = 'Start Challenge';
+    }
+    
+    // Called after every count change
+    function checkChallenge(count) {
+        if (challenge && count === challenge.target) {
+            endChallenge(true);
+        }
+    }
+    
+    if (challengeBtn && challengeStatus && challengeBest && challengeResults) {
+        state.register('-best', {
+            defaultValue: null,
+            restore: function(seconds) {
+                bestChallengeTime = seconds;
+                challengeBest.textContent = seconds === null ? '—' : seconds.toFixed(1) + 's';
+            }
+        });
+        
+        challengeBtn.addEventListener('click', function() {
+            if (challenge) {
+                endChallenge(false);
+                return;
+            }
+            
+            const target = pickChallengeTarget();
+            if (target === scopedCounter.getValue()) {
+                challengeStatus.textContent = 'Widen the bounds to leave room for a challenge.';
+                return;
+            }
+            
+            challenge = { target: target, startedAt: Date.now(), timer: null };
+            challengeBtn.textContent = 'Give Up';
+            
+            function tick() {
+                const remaining = CHALLENGE_SECONDS - (Date.now() - challenge.startedAt) / 1000;
+                if (remaining <= 0) {
+                    endChallenge(false);
+                    return;
+                }
+                challengeStatus.textContent = 'Reach ' + target + ' — ' + remaining.toFixed(1) + 's left';
+            }
+            
+            challenge.timer = setInterval(tick, 100);
+            tick();
+        }, { signal: signal });
+    }
+    
+    renderCounterHistory();
+    
+    return {
+        getValue: scopedCounter.getValue,
+        destroy: function() {
+            if (challenge) {
+                clearInterval(challenge.timer);
+                challenge = null;
+            }
+            animationRunner.cancel(counterElement);
+        }
+    };
+}
+
+// Function that fills an element with text, wrapping every case-insensitive
+// occurrence of query in a <mark>
+// Parameters:
+// - element: The element to fill (its current content is replaced)
+// - text: The plain text to show
+// - query: The text to highlight; an empty query highlights nothing
+function highlightText(element, text, query) {
+    element.textContent = '';
+    const haystack = text.toLowerCase();
+    const needle = query.toLowerCase();
+    let position = 0;
+    
+    if (needle !== '') {
+        let match = haystack.indexOf(needle);
+        while (match !== -1) {
+            element.appendChild(document.createTextNode(text.slice(position, match)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(match, match + needle.length);
+            element.appendChild(mark);
+            position = match + needle.length;
+            match = haystack.indexOf(needle, position);
+        }
+    }
+    element.appendChild(document.createTextNode(text.slice(position)));
+}
+
+// Widget that renders a searchable FAQ whose items can be expanded and collapsed
+// Items come from the JSON at data-src ([{ id, question, answer }], or
+// { items: [...] } from an API); without one, or if it can't be loaded, the
+// .faq-item blocks already in the .faq-list are used. Each question's id is
+// "faq-<item id>", so a link to #faq-dark-mode opens and scrolls to that item.
+// Optional parts: a .faq-search input that filters and highlights as you type,
+// .faq-expand-all and .faq-collapse-all buttons and a .faq-empty message.
+// Parameters:
+// - root: The [data-widget="faq"] element
+// - options: data-src, and data-accordion to keep only one item open at a time
+// - context: { state, signal } from the widget registry
+// Returns: An object with setOpen(id, isOpen) and search(query) methods
+function createFaqWidget(root, options, context) {
+    const signal = context.signal;
+    const list = root.querySelector('.faq-list');
+    const searchInput = root.querySelector('.faq-search');
+    const expandAllBtn = root.querySelector('.faq-expand-all');
+    const collapseAllBtn = root.querySelector('.faq-collapse-all');
+    const emptyMessage = root.querySelector('.faq-empty');
+    const accordion = options.accordion !== undefined;
+    
+    // [{ id, question, answer, elements: { question, questionText, answer, answerText } }]
+    let items = [];
+    let query = '';
+    
+    // Expanding everything makes no sense when only one item may be open
+    if (accordion && expandAllBtn) {
+        expandAllBtn.hidden = true;
+    }
+    
+    // Reads the items already in the markup
+    function readStaticItems() {
+        return Array.from(list.querySelectorAll('.faq-item')).map(function(item, index) {
+            const question = item.querySelector('.faq-question');
+            return {
+                id: question.id.indexOf('faq-') === 0 ? question.id.slice(4) : 'item-' + (index + 1),
+                question: question.textContent.trim(),
+                answer: item.querySelector('.faq-answer').textContent.trim()
+            };
+        });
+    }
+    
+    function render(data) {
+        list.innerHTML = '';
+        items = data.map(function(entry) {
+            const item = document.createElement('div');
+            item.className = 'faq-item';
+            
+            const question = document.createElement('button');
+            question.type = 'button';
+            question.className = 'faq-question';
+            question.id = 'faq-' + entry.id;
+            question.setAttribute('aria-controls', question.id + '-answer');
+            const questionText = document.createElement('span');
+            question.appendChild(questionText);
+            
+            const answer = document.createElement('div');
+            answer.className = 'faq-answer';
+            answer.id = question.id + '-answer';
+            answer.setAttribute('role', 'region');
+            answer.setAttribute('aria-labelledby', question.id);
+            const answerText = document.createElement('p');
+            answer.appendChild(answerText);
+            
+            item.appendChild(question);
+            item.appendChild(answer);
+            list.appendChild(item);
+            
+            const model = {
+                id: String(entry.id),
+                question: String(entry.question),
+                answer: String(entry.answer),
+                elements: { item: item, question: question, questionText: questionText, answer: answer, answerText: answerText }
+            };
+            setItemOpen(model, false);
+            return model;
+        });
+        applySearch();
+    }
+    
+    // Opens or closes one FAQ item and keeps aria-expanded in step
+    function setItemOpen(item, isOpen) {
+        item.elements.question.classList.toggle('active', isOpen);
+        item.elements.question.setAttribute('aria-expanded', String(isOpen));
+        item.elements.answer.classList.toggle('active', isOpen);
+        item.elements.answer.setAttribute('aria-hidden', String(!isOpen));
+    }
+    
+    function isOpen(item) {
+        return item.elements.question.classList.contains('active');
+    }
+    
+    // Save the ids of every open item
+    function saveOpenItems() {
+        context.state.save('', items.filter(isOpen).map(item => item.id));
+    }
+    
+    // Opens an item (closing the others in accordion mode) or closes it, and saves the result
+    function toggleItem(item, open) {
+        if (open && accordion) {
+            items.forEach(function(other) {
+                setItemOpen(other, other === item);
+            });
+        } else {
+            setItemOpen(item, open);
+        }
+        saveOpenItems();
+    }
+    
+    function findItem(id) {
+        return items.find(item => item.id === id) || null;
+    }
+    
+    // Filters the list to items whose question or answer contains the query and highlights it
+    function applySearch() {
+        let visible = 0;
+        items.forEach(function(item) {
+            const matches = query === '' ||
+                item.question.toLowerCase().indexOf(query.toLowerCase()) !== -1 ||
+                item.answer.toLowerCase().indexOf(query.toLowerCase()) !== -1;
+            item.elements.item.hidden = !matches;
+            highlightText(item.elements.questionText, item.question, query);
+            highlightText(item.elements.answerText, item.answer, query);
+            if (matches) {
+                visible++;
+            }
+        });
+        if (emptyMessage) {
+            emptyMessage.hidden = visible > 0;
+        }
+    }
+    
+    // Opens the item named by the URL hash and scrolls to it
+    function openFromHash() {
+        const item = location.hash.indexOf('#faq-') === 0 ? findItem(decodeURIComponent(location.hash.slice(5))) : null;
+        if (!item) {
+            return;
+        }
+        if (item.elements.item.hidden && searchInput) {
+            searchInput.value = '';
+            query = '';
+            applySearch();
+        }
+        toggleItem(item, true);
+        item.elements.question.scrollIntoView({ behavior: globalAnimationSpeed > 0 ? 'smooth' : 'auto', block: 'start' });
+        item.elements.question.focus({ preventScroll: true });
+    }
+    
+    // Everything that needs the items waits until they have been loaded
+    function start(data) {
+        render(data);
+        
+        // Restore which FAQ items were open (saved as their ids; older
+        // versions saved positions in the list)
+        context.state.register('', {
+            defaultValue: [],
+            restore: function(openItems) {
+                items.forEach(function(item, index) {
+                    setItemOpen(item, openItems.indexOf(item.id) !== -1 || openItems.indexOf(index) !== -1);
+                });
+            }
+        });
+        
+        openFromHash();
+        window.addEventListener('hashchange', openFromHash, { signal: signal });
+    }
+    
+    list.addEventListener('click', function(e) {
+        const question = e.target.closest('.faq-question');
+        const item = question && items.find(i => i.elements.question === question);
+        if (!item) {
+            return;
+        }
+        const open = !isOpen(item);
+        toggleItem(item, open);
+        
+        // Give the page a link to the item without jumping to it
+        if (open) {
+            history.replaceState(history.state, '', '#' + question.id);
+        }
+    }, { signal: signal });
+    
+    if (searchInput) {
+        searchInput.addEventListener('input', function() {
+            query = this.value.trim();
+            applySearch();
+        }, { signal: signal });
+    }
+    
+    if (expandAllBtn) {
+        expandAllBtn.addEventListener('click', function() {
+            items.forEach(function(item) {
+                if (!item.elements.item.hidden) {
+                    setItemOpen(item, true);
+                }
+            });
+            saveOpenItems();
+        }, { signal: signal });
+    }
+    
+    if (collapseAllBtn) {
+        collapseAllBtn.addEventListener('click', function() {
+            items.forEach(function(item) {
+                setItemOpen(item, false);
+            });
+            saveOpenItems();
+        }, { signal: signal });
+    }
+    
+    const staticItems = readStaticItems();
+    if (options.src) {
+        fetch(options.src)
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                return response.json();
+            })
+            .then(function(data) {
+                const entries = Array.isArray(data) ? data : data && data.items;
+                if (!Array.isArray(entries)) {
+                    throw new Error('Expected a list of FAQ items');
+                }
+                if (!signal.aborted) {
+                    start(entries);
+                }
+            })
+            .catch(function(error) {
+                console.warn('Could not load the FAQ, showing the built-in questions:', error);
+                if (!signal.aborted) {
+                    start(staticItems);
+                }
+            });
+    } else {
+        start(staticItems);
+    }
+    
+    return {
+        setOpen: function(id, open) {
+            const item = findItem(id);
+            if (item) {
+                toggleItem(item, open);
+            }
+        },
+        search: function(text) {
+            query = String(text).trim();
+            if (searchInput) {
+                searchInput.value = query;
+            }
+            applySearch();
+        }
+    };
+}
+
+// Counter for ids generated by dropdowns that don't have their own
+let dropdownIdCount = 0;
+
+// Widget that implements a custom dropdown following the WAI-ARIA listbox
+// pattern: arrow keys, Home/End, type-ahead and Escape all work from the
+// keyboard, and focus returns to the button on close
+// Markup: a .dropdown-btn and a .dropdown-content panel holding a
+// [role="listbox"] list. Options may be written into the list as
+// [role="option"] items with data-value (inside [role="group"] items with an
+// aria-label to group them), loaded from data-src, or set with setOptions().
+// Every change dispatches a 'change' CustomEvent on the root whose detail is
+// { value, values, labels }; value is one value, or an array in multi-select mode.
+// Parameters:
+// - root: The [data-widget="dropdown"] element
+// - options: data-multiple, data-filter (adds a filter box), data-src (a URL
+//   answering with a list of options) and data-name (adds a hidden input with
+//   that name, so the choice is submitted with the form)
+// - context: { state, signal } from the widget registry
+// Returns: An object with getValue, setValue, setOptions and destroy methods
+function createDropdownWidget(root, options, context) {
+    const signal = context.signal;
+    const multiple = options.multiple !== undefined;
+    const dropdownBtn = root.querySelector('.dropdown-btn');
+    const dropdownContent = root.querySelector('.dropdown-content');
+    const listbox = dropdownContent.querySelector('[role="listbox"]');
+    const defaultDropdownLabel = dropdownBtn.textContent;
+    
+    if (!listbox.id) {
+        listbox.id = 'dropdown-' + (++dropdownIdCount);
+    }
+    listbox.tabIndex = -1;
+    if (multiple) {
+        listbox.setAttribute('aria-multiselectable', 'true');
+    }
+    
+    let filterInput = dropdownContent.querySelector('.dropdown-filter');
+    if (!filterInput && options.filter !== undefined) {
+        filterInput = document.createElement('input');
+        filterInput.type = 'search';
+        filterInput.className = 'dropdown-filter';
+        filterInput.placeholder = 'Filter…';
+        filterInput.setAttribute('aria-label', 'Filter options');
+        filterInput.setAttribute('aria-controls', listbox.id);
+        filterInput.setAttribute('autocomplete', 'off');
+        dropdownContent.insertBefore(filterInput, listbox);
+    }
+    
+    let hiddenInput = root.querySelector('input[type="hidden"]');
+    if (!hiddenInput && options.name) {
+        hiddenInput = document.createElement('input');
+        hiddenInput.type = 'hidden';
+        hiddenInput.name = options.name;
+        root.appendChild(hiddenInput);
+    }
+    
+    // Keyboard focus stays here while the list is open; the highlighted option
+    // is announced through aria-activedescendant
+    const focusTarget = filterInput || listbox;
+    
+    // [{ value, label, group, element }]
+    let items = [];
+    // Selected values, in the order they were picked
+    let selected = [];
+    // Index of the highlighted option among the visible ones
+    let activeIndex = -1;
+    let noMatches = null;
+    
+    // Accepts strings, { value, label, group } objects and { label, options } groups
+    function normaliseOptions(list) {
+        const flat = [];
+        (list || []).forEach(function(entry) {
+            if (entry && Array.isArray(entry.options)) {
+                normaliseOptions(entry.options).forEach(function(option) {
+                    flat.push(Object.assign({}, option, { group: entry.label }));
+                });
+            } else if (typeof entry === 'string') {
+                flat.push({ value: entry, label: entry, group: '' });
+            } else if (entry) {
+                flat.push({ value: String(entry.value), label: String(entry.label || entry.value), group: entry.group || '' });
+            }
+        });
+        return flat;
+    }
+    
+    function readMarkupOptions() {
+        return Array.from(listbox.querySelectorAll('[role="option"]')).map(function(option) {
+            const group = option.closest('[role="group"]');
+            return {
+                value: option.getAttribute('data-value'),
+                label: option.textContent.trim(),
+                group: group ? group.getAttribute('aria-label') || '' : ''
+            };
+        });
+    }
+    
+    // Parses a saved or initial value: an array, one value, or the
+    // { value, label } object older versions saved
+    function toValues(value) {
+        if (Array.isArray(value)) {
+            return value.map(String);
+        }
+        if (value && typeof value === 'object') {
+            return value.value ? [String(value.value)] : [];
+        }
+        return value ? String(value).split(',').filter(Boolean) : [];
+    }
+    
+    function showStatus(text) {
+        listbox.innerHTML = '';
+        const status = document.createElement('li');
+        status.className = 'dropdown-status';
+        status.setAttribute('role', 'presentation');
+        status.textContent = text;
+        listbox.appendChild(status);
+    }
+    
+    function render() {
+        listbox.innerHTML = '';
+        const groups = {};
+        
+        items.forEach(function(item, index) {
+            const option = document.createElement('li');
+            option.setAttribute('role', 'option');
+            option.id = listbox.id + '-option-' + index;
+            option.setAttribute('data-value', item.value);
+            option.textContent = item.label;
+            item.element = option;
+            
+            if (!item.group) {
+                listbox.appendChild(option);
+                return;
+            }
+            if (!groups[item.group]) {
+                const group = document.createElement('li');
+                group.setAttribute('role', 'group');
+                group.setAttribute('aria-label', item.group);
+                const groupLabel = document.createElement('span');
+                groupLabel.className = 'dropdown-group-label';
+                groupLabel.setAttribute('aria-hidden', 'true');
+                groupLabel.textContent = item.group;
+                const groupList = document.createElement('ul');
+                groupList.setAttribute('role', 'none');
+                group.appendChild(groupLabel);
+                group.appendChild(groupList);
+                listbox.appendChild(group);
+                groups[item.group] = groupList;
+            }
+            groups[item.group].appendChild(option);
+        });
+        
+        noMatches = document.createElement('li');
+        noMatches.className = 'dropdown-status';
+        noMatches.setAttribute('role', 'presentation');
+        noMatches.textContent = 'No matching options';
+        noMatches.hidden = true;
+        listbox.appendChild(noMatches);
+        
+        applyFilter();
+        showSelection();
+    }
+    
+    function visibleItems() {
+        return items.filter(item => !item.element.hidden);
+    }
+    
+    // Hides options whose label doesn't contain the filter text
+    function applyFilter() {
+        const query = filterInput ? filterInput.value.trim().toLowerCase() : '';
+        items.forEach(function(item) {
+            item.element.hidden = query !== '' && item.label.toLowerCase().indexOf(query) === -1;
+        });
+        listbox.querySelectorAll('[role="group"]').forEach(function(group) {
+            group.hidden = !group.querySelector('[role="option"]:not([hidden])');
+        });
+        if (noMatches) {
+            noMatches.hidden = items.length === 0 || visibleItems().length > 0;
+        }
+        setActive(0);
+    }
+    
+    // Highlights a visible option
+    function setActive(index) {
+        const visible = visibleItems();
+        items.forEach(item => item.element.classList.remove('active'));
+        if (visible.length === 0) {
+            activeIndex = -1;
+            focusTarget.removeAttribute('aria-activedescendant');
+            return;
+        }
+        activeIndex = Math.max(0, Math.min(visible.length - 1, index));
+        const option = visible[activeIndex].element;
+        option.classList.add('active');
+        focusTarget.setAttribute('aria-activedescendant', option.id);
+        if (isDropdownOpen() && typeof option.scrollIntoView === 'function') {
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    
+    function getValue() {
+        return multiple ? selected.slice() : (selected[0] || null);
+    }
+    
+    function labelFor(value) {
+        const item = items.find(i => i.value === value);
+        return item ? item.label : value;
+    }
+    
+    // Shows the selection on the button, the options and the hidden input
+    function showSelection() {
+        items.forEach(function(item) {
+            item.element.setAttribute('aria-selected', String(selected.indexOf(item.value) !== -1));
+        });
+        
+        const labels = selected.map(labelFor);
+        if (labels.length === 0) {
+            dropdownBtn.textContent = defaultDropdownLabel;
+        } else if (labels.length <= 2) {
+            dropdownBtn.textContent = labels.join(', ');
+        } else {
+            dropdownBtn.textContent = labels.length + ' selected';
+        }
+        dropdownBtn.dataset.value = selected.join(',');
+        if (hiddenInput) {
+            hiddenInput.value = selected.join(',');
+        }
+    }
+    
+    // Applies a new selection, saves it and tells listeners about it
+    function commit(values) {
+        selected = values;
+        showSelection();
+        context.state.save('', selected);
+        root.dispatchEvent(new CustomEvent('change', {
+            bubbles: true,
+            detail: { value: getValue(), values: selected.slice(), labels: selected.map(labelFor) }
+        }));
+    }
+    
+    function isDropdownOpen() {
+        return dropdownContent.classList.contains('show');
+    }
+    
+    // Opens the list and highlights an option
+    // Parameter:
+    // - highlight: 'selected' (default), 'first' or 'last'
+    function openDropdown(highlight = 'selected') {
+        dropdownContent.classList.add('show');
+        dropdownBtn.setAttribute('aria-expanded', 'true');
+        if (filterInput) {
+            filterInput.value = '';
+            applyFilter();
+        }
+        focusTarget.focus();
+        
+        const visible = visibleItems();
+        const firstSelected = visible.findIndex(item => selected.indexOf(item.value) !== -1);
+        if (highlight === 'last') {
+            setActive(visible.length - 1);
+        } else if (highlight === 'selected' && firstSelected !== -1) {
+            setActive(firstSelected);
+        } else {
+            setActive(0);
+        }
+    }
+    
+    // Closes the list, optionally handing focus back to the button
+    function closeDropdown(returnFocus) {
+        if (!isDropdownOpen()) {
+            return;
+        }
+        dropdownContent.classList.remove('show');
+        dropdownBtn.setAttribute('aria-expanded', 'false');
+        
+        if (returnFocus) {
+            dropdownBtn.focus();
+        }
+    }
+    
+    // Single-select picks the option and closes; multi-select toggles it and stays open
+    function chooseItem(item) {
+        if (!multiple) {
+            commit([item.value]);
+            closeDropdown(true);
+            return;
+        }
+        const index = selected.indexOf(item.value);
+        commit(index === -1 ? selected.concat(item.value) : selected.filter(v => v !== item.value));
+    }
+    
+    // Replaces the options; selected values that no longer exist are dropped
+    // (kept while there are no options yet, e.g. before data-src has loaded)
+    function setOptions(list) {
+        items = normaliseOptions(list);
+        if (items.length > 0) {
+            selected = selected.filter(value => items.some(item => item.value === value));
+        }
+        render();
+    }
+    
+    // Toggle dropdown visibility
+    dropdownBtn.addEventListener('click', function() {
+        if (isDropdownOpen()) {
+            closeDropdown(false);
+        } else {
+            openDropdown();
+        }
+    }, { signal: signal });
+    
+    dropdownBtn.addEventListener('keydown', function(e) {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            openDropdown();
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            openDropdown('last');
+        }
+    }, { signal: signal });
+    
+    // Type-ahead: typed characters within half a second form one search string
+    let typeAheadBuffer = '';
+    let typeAheadTimer = null;
+    
+    function typeAhead(character) {
+        clearTimeout(typeAheadTimer);
+        typeAheadBuffer += character.toLowerCase();
+        typeAheadTimer = setTimeout(() => {
+            typeAheadBuffer = '';
+        }, 500);
+        
+        const match = visibleItems().findIndex(function(item) {
+            return item.label.toLowerCase().indexOf(typeAheadBuffer) === 0;
+        });
+        if (match !== -1) {
+            setActive(match);
+        }
+    }
+    
+    if (filterInput) {
+        filterInput.addEventListener('input', applyFilter, { signal: signal });
+    }
+    
+    dropdownContent.addEventListener('keydown', function(e) {
+        const inFilter = e.target === filterInput;
+        const visible = visibleItems();
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                setActive(activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                setActive(activeIndex - 1);
+                break;
+            case 'Home':
+            case 'End':
+                // In the filter box these move the caret instead
+                if (inFilter) {
+                    return;
+                }
+                setActive(e.key === 'Home' ? 0 : visible.length - 1);
+                break;
+            case 'Enter':
+                if (visible[activeIndex]) {
+                    chooseItem(visible[activeIndex]);
+                }
+                break;
+            case ' ':
+                if (inFilter) {
+                    return;
+                }
+                if (visible[activeIndex]) {
+                    chooseItem(visible[activeIndex]);
+                }
+                break;
+            case 'Escape':
+                closeDropdown(true);
+                break;
+            case 'Tab':
+                closeDropdown(false);
+                return;
+            default:
+                if (!inFilter && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    typeAhead(e.key);
+                    break;
+                }
+                return;
+        }
+        e.preventDefault();
+    }, { signal: signal });
+    
+    // Keep focus in the filter box when an option is clicked
+    listbox.addEventListener('mousedown', function(e) {
+        if (e.target.closest('[role="option"]')) {
+            e.preventDefault();
+        }
+    }, { signal: signal });
+    
+    // Handle dropdown item selection
+    listbox.addEventListener('click', function(e) {
+        const option = e.target.closest('[role="option"]');
+        const item = option && items.find(i => i.element === option);
+        if (item) {
+            setActive(visibleItems().indexOf(item));
+            chooseItem(item);
+        }
+    }, { signal: signal });
+    
+    // Close dropdown when clicking outside
+    document.addEventListener('click', function(e) {
+        if (!root.contains(e.target)) {
+            closeDropdown(false);
+        }
+    }, { signal: signal });
+    
+    const initialValues = toValues(hiddenInput ? hiddenInput.value : null);
+    selected = initialValues.slice();
+    setOptions(readMarkupOptions());
+    
+    // Restore the chosen options
+    context.state.register('', {
+        defaultValue: initialValues,
+        restore: function(value) {
+            selected = toValues(value);
+            if (!multiple) {
+                selected = selected.slice(0, 1);
+            }
+            showSelection();
+        }
+    });
+    
+    // A form reset puts the initial choice back
+    if (hiddenInput && hiddenInput.form) {
+        hiddenInput.form.addEventListener('reset', function() {
+            setTimeout(function() {
+                commit(initialValues.slice());
+            }, 0);
+        }, { signal: signal });
+    }
+    
+    if (options.src) {
+        showStatus('Loading options…');
+        dropdownBtn.setAttribute('aria-busy', 'true');
+        fetch(options.src)
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                return response.json();
+            })
+            .then(function(data) {
+                if (!signal.aborted) {
+                    setOptions(Array.isArray(data) ? data : data.options);
+                }
+            })
+            .catch(function(error) {
+                console.warn('Could not load dropdown options:', options.src, error);
+                if (!signal.aborted) {
+                    showStatus('Could not load the options');
+                }
+            })
+            .finally(function() {
+                dropdownBtn.removeAttribute('aria-busy');
+            });
+    }
+    
+    return {
+        getValue: getValue,
+        // Selects the given value (or array of values) as if the user had picked it
+        setValue: function(value) {
+            commit(toValues(value).slice(0, multiple ? undefined : 1));
+        },
+        setOptions: setOptions,
+        destroy: function() {
+            clearTimeout(typeAheadTimer);
+        }
+    };
+}
+
+// Widget that implements a tabbed content interface following the WAI-ARIA
+// tabs pattern: only the selected tab is in the Tab order and the arrow keys,
+// Home and End move between tabs
+// Markup: a .tabs list of .tab-btn buttons whose data-tab names the id of their .tab-pane
+// The selected tab is kept in the URL query parameter named by data-url-param,
+// so it can be linked to and the browser's back and forward buttons move
+// between tabs. A pane with data-src loads its content from that URL the
+// first time it is shown.
+// Switching tabs dispatches a 'change' CustomEvent on the root whose detail is { tab }.
+// Parameters:
+// - root: The [data-widget="tabs"] element
+// - options: data-url-param
+// - context: { state, signal } from the widget registry
+// Returns: An object with a select(tabId) method
+function createTabsWidget(root, options, context) {
+    const signal = context.signal;
+    const tabList = root.querySelector('.tabs');
+    const tabBtns = Array.from(root.querySelectorAll('.tab-btn'));
+    const tabPanes = Array.from(root.querySelectorAll('.tab-pane'));
+    const urlParam = options.urlParam;
+    const fadeInConfig = createAnimationConfig('fadeIn', 500, 'ease');
+    
+    // Lazy panes that have loaded, or are loading, keyed by pane id
+    const loads = {};
+    
+    function findButton(tabId) {
+        return tabBtns.find(b => b.getAttribute('data-tab') === tabId) || null;
+    }
+    
+    // Replaces a pane's content with a status line, e.g. while it loads
+    function showPaneStatus(pane, className, text) {
+        pane.innerHTML = '';
+        const status = document.createElement('p');
+        status.className = 'tab-status ' + className;
+        status.textContent = text;
+        pane.appendChild(status);
+        return status;
+    }
+    
+    // Fetches a data-src pane's HTML the first time it is shown
+    // A failed load shows a retry button and is tried again on the next visit
+    function loadPane(pane) {
+        const src = pane.getAttribute('data-src');
+        if (!src || loads[pane.id]) {
+            return;
+        }
+        
+        const loadingStatus = showPaneStatus(pane, 'loading-state', 'Loading…');
+        const spinner = document.createElement('span');
+        spinner.className = 'loading';
+        loadingStatus.appendChild(spinner);
+        pane.setAttribute('aria-busy', 'true');
+        
+        loads[pane.id] = fetch(src)
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                return response.text();
+            })
+            .then(function(html) {
+                // Widgets in the loaded markup are picked up by the widget registry
+                pane.innerHTML = html;
+            })
+            .catch(function(error) {
+                delete loads[pane.id];
+                const errorStatus = showPaneStatus(pane, 'error-state', 'Could not load this tab. ');
+                const retryBtn = document.createElement('button');
+                retryBtn.type = 'button';
+                retryBtn.textContent = 'Try again';
+                retryBtn.addEventListener('click', function() {
+                    loadPane(pane);
+                });
+                errorStatus.appendChild(retryBtn);
+                console.warn('Could not load tab content:', src, error);
+            })
+            .finally(function() {
+                pane.removeAttribute('aria-busy');
+            });
+    }
+    
+    // Show the tab pane with the given ID and highlight its button
+    // Returns: Whether the tab exists
+    function activateTab(targetTab) {
+        const targetBtn = findButton(targetTab);
+        const targetPane = tabPanes.find(p => p.id === targetTab);
+        if (!targetBtn || !targetPane) {
+            return false;
+        }
+        
+        const wasActive = targetPane.classList.contains('active');
+        
+        // Remove active class from all buttons and panes
+        tabBtns.forEach(function(b) {
+            b.classList.remove('active');
+            b.setAttribute('aria-selected', 'false');
+            b.tabIndex = -1;
+        });
+        tabPanes.forEach(p => p.classList.remove('active'));
+        
+        // Add active class to the tab's button
+        targetBtn.classList.add('active');
+        targetBtn.setAttribute('aria-selected', 'true');
+        targetBtn.tabIndex = 0;
+        
+        // Show the target tab pane, fading it in on every switch
+        targetPane.classList.add('active');
+        if (!wasActive) {
+            animationRunner.play(targetPane, fadeInConfig);
+        }
+        loadPane(targetPane);
+        
+        if (!wasActive) {
+            root.dispatchEvent(new CustomEvent('change', {
+                bubbles: true,
+                detail: { tab: targetTab }
+            }));
+        }
+        return true;
+    }
+    
+    // The tab named in the URL, or null
+    function tabFromUrl() {
+        const tabId = urlParam ? new URLSearchParams(location.search).get(urlParam) : null;
+        return tabId && findButton(tabId) ? tabId : null;
+    }
+    
+    // The tab param of the current history entry, so back and forward can
+    // tell a tab switch from a hash-only step such as a FAQ link
+    let urlTab = tabFromUrl();
+    
+    // Records a switch as a new history entry so Back returns to the previous tab
+    function pushTabToUrl(tabId) {
+        if (!urlParam || urlTab === tabId) {
+            return;
+        }
+        const url = new URL(location.href);
+        url.searchParams.set(urlParam, tabId);
+        history.pushState(history.state, '', url);
+        urlTab = tabId;
+    }
+    
+    // Names the tab shown on page load in the current entry's URL, unless it
+    // is the first tab an entry without the param already stands for
+    function replaceTabInUrl(tabId) {
+        if (!urlParam || urlTab === tabId || (!urlTab && tabId === tabBtns[0].getAttribute('data-tab'))) {
+            return;
+        }
+        const url = new URL(location.href);
+        url.searchParams.set(urlParam, tabId);
+        history.replaceState(history.state, '', url);
+        urlTab = tabId;
+    }
+    
+    // Restore the last selected tab; on page load a tab named in the URL wins
+    let loaded = false;
+    context.state.register('', {
+        defaultValue: tabBtns[0].getAttribute('data-tab'),
+        restore: function(tabId) {
+            const shown = (!loaded && tabFromUrl()) || tabId;
+            if (activateTab(shown) && !loaded) {
+                // Otherwise Back to this entry would show the first tab
+                replaceTabInUrl(shown);
+            }
+            loaded = true;
+        }
+    });
+    
+    function selectTab(btn) {
+        const targetTab = btn.getAttribute('data-tab');
+        activateTab(targetTab);
+        context.state.save('', targetTab);
+        pushTabToUrl(targetTab);
+    }
+    
+    // Back and forward: show whichever tab the URL now names, or the first
+    // tab when it names none (the entry from before any tab was picked)
+    // Steps between entries with the same tab param, e.g. FAQ hash links,
+    // leave the shown tab alone
+    window.addEventListener('popstate', function() {
+        const entryTab = tabFromUrl();
+        if (!urlParam || entryTab === urlTab) {
+            return;
+        }
+        urlTab = entryTab;
+        const tabId = entryTab || tabBtns[0].getAttribute('data-tab');
+        activateTab(tabId);
+        context.state.save('', tabId);
+    }, { signal: signal });
+    
+    tabBtns.forEach(function(btn) {
+        btn.addEventListener('click', function() {
+            selectTab(this);
+        }, { signal: signal });
+    });
+    
+    // Arrow keys wrap around; the newly focused tab is selected right away
+    tabList.addEventListener('keydown', function(e) {
+        const current = tabBtns.indexOf(document.activeElement);
+        if (current === -1) {
+            return;
+        }
+        
+        let next;
+        switch (e.key) {
+            case 'ArrowRight':
+                next = (current + 1) % tabBtns.length;
+                break;
+            case 'ArrowLeft':
+                next = (current - 1 + tabBtns.length) % tabBtns.length;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = tabBtns.length - 1;
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        tabBtns[next].focus();
+        selectTab(tabBtns[next]);
+    }, { signal: signal });
+    
+    return {
+        select: function(tabId) {
+            const btn = findButton(tabId);
+            if (btn) {
+                selectTab(btn);
+            }
+        }
+    };
+}
+
+// Widget that shows how strong the password in another field is
+// Markup: an element with data-for="<password input id>" holding a
+// .password-meter-fill bar, a .password-meter-label and a
+// .password-meter-suggestions list. The rating comes from
+// ValidationRules.scorePassword, the same one the server applies.
+// Parameters:
+// - root: The [data-widget="password-meter"] element
+// - options: data-for
+// - context: { state, signal } from the widget registry
+// Returns: An object with an update method
+function createPasswordMeterWidget(root, options, context) {
+    const input = document.getElementById(options.for);
+    const fill = root.querySelector('.password-meter-fill');
+    const label = root.querySelector('.password-meter-label');
+    const suggestionList = root.querySelector('.password-meter-suggestions');
+    const meterAnimationConfig = createAnimationConfig('meter', 300, 'ease-out');
+    const minimumLabel = ValidationRules.STRENGTH_LABELS[ValidationRules.MIN_PASSWORD_STRENGTH];
+    
+    function update() {
+        const value = input.value;
+        const rating = ValidationRules.scorePassword(value);
+        const width = value === '' ? '0%' : (rating.score + 1) * 20 + '%';
+        
+        // Slide the bar from its current width to the new one
+        const from = fill.style.width || '0%';
+        fill.style.width = width;
+        if (from !== width) {
+            animationRunner.play(fill, meterAnimationConfig, [{ width: from }, { width: width }]);
+        }
+        
+        root.setAttribute('data-score', value === '' ? '' : String(rating.score));
+        label.textContent = value === '' ? 'Minimum strength: ' + minimumLabel : rating.label;
+        
+        suggestionList.innerHTML = '';
+        if (value !== '') {
+            rating.suggestions.forEach(function(suggestion) {
+                const item = document.createElement('li');
+                item.textContent = suggestion;
+                suggestionList.appendChild(item);
+            });
+        }
+    }
+    
+    input.addEventListener('input', update, { signal: context.signal });
+    
+    // A form reset changes the value without an input event
+    if (input.form) {
+        input.form.addEventListener('reset', function() {
+            setTimeout(update, 0);
+        }, { signal: context.signal });
+    }
+    
+    update();
+    return { update: update };
+}
+
+// Widget for a button that shows or hides the password in another field
+// Markup: <button type="button" data-widget="password-toggle" aria-controls="<input id>">
+// Parameters:
+// - root: The [data-widget="password-toggle"] button
+// - options: Unused
+// - context: { state, signal } from the widget registry
+// Returns: An object with a setVisible method
+function createPasswordToggleWidget(root, options, context) {
+    const input = document.getElementById(root.getAttribute('aria-controls'));
+    
+    function setVisible(visible) {
+        input.type = visible ? 'text' : 'password';
+        root.setAttribute('aria-pressed', String(visible));
+        root.textContent = visible ? 'Hide' : 'Show';
+    }
+    
+    root.addEventListener('click', function() {
+        setVisible(input.type === 'password');
+    }, { signal: context.signal });
+    
+    // Never leave a password readable after the form is reset
+    if (input.form) {
+        input.form.addEventListener('reset', function() {
+            setVisible(false);
+        }, { signal: context.signal });
+    }
+    
+    setVisible(false);
+    return { setVisible: setVisible };
+}
+
+// Every widget script.js knows about; new pages only need the markup
+const widgetRegistry = createWidgetRegistry();
+widgetRegistry.define('counter', createCounterWidget);
+widgetRegistry.define('faq', createFaqWidget);
+widgetRegistry.define('dropdown', createDropdownWidget);
+widgetRegistry.define('tabs', createTabsWidget);
+widgetRegistry.define('password-meter', createPasswordMeterWidget);
+widgetRegistry.define('password-toggle', createPasswordToggleWidget);
+
+// Wait for the DOM to be fully loaded before executing scripts
+document.addEventListener('DOMContentLoaded', function() {
+    // Every widget below saves its state here so it survives a reload
+    const uiState = createStatePersistence();
+    
+    // Animation Speed Control
+    // Lets users slow down, speed up or turn off animations; without a saved
+    // choice it follows the operating system's reduced-motion setting
+    const speedSelect = document.getElementById('animation-speed');
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    
+    function defaultAnimationSpeed() {
+        return reducedMotionQuery.matches ? 0 : 1;
+    }
+    
+    uiState.register('animation-speed', {
+        defaultValue: defaultAnimationSpeed,
+        restore: function(speed) {
+            speedSelect.value = String(setAnimationSpeed(speed));
+        }
+    });
+    
+    speedSelect.addEventListener('change', function() {
+        setAnimationSpeed(parseFloat(this.value));
+        uiState.save('animation-speed', globalAnimationSpeed);
+    });
+    
+    // Follow live changes to the OS setting until the user picks a speed
+    reducedMotionQuery.addEventListener('change', function() {
+        if (!uiState.has('animation-speed')) {
+            speedSelect.value = String(setAnimationSpeed(defaultAnimationSpeed()));
+        }
+    });
+    
+    // Themes
+    // The theme and accent colour are applied before the widgets start so the
+    // page never flashes the wrong colours; the picker catches up afterwards
+    const themeManager = createThemeManager();
+    const themePickerElement = document.getElementById('theme-picker');
+    const accentInput = document.getElementById('accent-color');
+    const accentResetBtn = document.getElementById('accent-reset');
+    // The picker's dropdown API, once the widgets have started
+    let themePicker = null;
+    
+    // 'auto' without a saved choice: follow the operating system
+    uiState.register('theme', {
+        defaultValue: 'auto',
+        restore: function(theme) {
+            themeManager.setTheme(theme);
+            if (themePicker) {
+                themePicker.setValue(themeManager.getTheme());
+            }
+        }
+    });
+    
+    function showAccent() {
+        accentInput.value = themeManager.getAccent() || accentInput.value;
+    }
+    
+    uiState.register('accent', {
+        defaultValue: null,
+        restore: function(color) {
+            themeManager.setAccent(color);
+            showAccent();
+        }
+    });
+    
+    const themeGlowConfig = createAnimationConfig('glow', 600, 'ease-in-out');
+    
+    themePickerElement.addEventListener('change', function(e) {
+        if (!e.detail || e.detail.value === themeManager.getTheme()) {
+            return;
+        }
+        themeManager.setTheme(e.detail.value);
+        uiState.save('theme', themeManager.getTheme());
+        showAccent();
+        
+        // Add animation to the picker
+        animationRunner.play(this, themeGlowConfig);
+    });
+    
+    accentInput.addEventListener('input', function() {
+        uiState.save('accent', themeManager.setAccent(this.value));
+    });
+    
+    accentResetBtn.addEventListener('click', function() {
+        themeManager.setAccent(null);
+        uiState.clear('accent');
+        showAccent();
+    });
+
+    // Counter, FAQ, dropdown and tabs
+    // Each [data-widget] element on the page becomes an independent instance
+    widgetRegistry.start(document.body, { state: uiState });
+    
+    // Show the saved theme in the picker
+    themePicker = widgetRegistry.get(themePickerElement);
+    themePicker.setValue(themeManager.getTheme());
+    
+    // Other pages, like the admin dashboard, share the header and widgets
+    // above but have none of the demos, forms or checkout below
+    if (!document.getElementById('user-form')) {
+        return;
+    }
+    
+    // ======================================================================
+    // NEW ANIMATION INTEGRATIONS
+    // ======================================================================
+    //
+    // These functions demonstrate how to integrate CSS animations with JavaScript:
+    // 1. Button that triggers a box animation on click
+    // 2. Card flip animation that activates on click
+    // 3. Loading animation that starts/stops based on user input
+    // 4. Popup/modal that slides in and fades out in response to specific events
+    //
+    // Each function uses our custom functions to demonstrate scope awareness,
+    // parameters, return values, and reusability.
+    
+    // Box animation functionality
+    // Implements a button that triggers a box animation on click
+    const animateBoxBtn = document.getElementById('animate-box-btn');
+    const animatedBox = document.getElementById('animated-box');
+    
+    const boxAnimationConfig = createAnimationConfig('boxAnimation', 1000, 'ease');
+    
+    animateBoxBtn.addEventListener('click', function() {
+        // Add animated class to trigger the CSS animation; it is removed again
+        // when the animation ends
+        animationRunner.playClass(animatedBox, 'animated', boxAnimationConfig);
+    });
+    
+    // Card flip functionality
+    // Implements a card flip animation that activates on click
+    const flipCardBtn = document.getElementById('flip-card-btn');
+    const flipContainer = document.getElementById('flip-container');
+    
+    flipCardBtn.addEventListener('click', function() {
+        // Toggle flipped class to trigger CSS animation
+        flipContainer.classList.toggle('flipped');
+        
+        // Report the side now showing through the notification service
+        notifications.info('Card flipped to the ' + (flipContainer.classList.contains('flipped') ? 'back' : 'front'));
+    });
+    
+    // Loading animation functionality
+    // Implements a loading animation that starts/stops based on user input
+    const startLoadingBtn = document.getElementById('start-loading-btn');
+    const stopLoadingBtn = document.getElementById('stop-loading-btn');
+    const loadingSpinner = document.getElementById('loading-spinner');
+    
+    startLoadingBtn.addEventListener('click', function() {
+        // Show loading spinner
+        loadingSpinner.classList.add('active');
+        
+        // Report the computed styles through the notification service
+        // This demonstrates using return values from functions
+        const computedStyles = getComputedAnimationStyles(loadingSpinner);
+        notifications.info('Loading started: ' + computedStyles.animationName + ' animation, ' +
+            computedStyles.animationDuration + ' per turn');
+    });
+    
+    stopLoadingBtn.addEventListener('click', function() {
+        // Hide loading spinner
+        loadingSpinner.classList.remove('active');
+        notifications.info('Loading stopped');
+    });
+    
+    // Popup/modal functionality
+    // Implements a popup/modal that slides in and fades out in response to specific events
+    const showPopupBtn = document.getElementById('show-popup-btn');
+    const popupModal = document.getElementById('popup-modal');
+    const popupController = createModalController(popupModal);
+    
+    showPopupBtn.addEventListener('click', function() {
+        // Show popup modal
+        popupController.open(this);
+        
+        // Use our new functions to manage the animation
+        // This demonstrates function reusability with complex animations
+        const animationConfig = createAnimationConfig('slideIn', 300, 'ease');
+    });
+
+    // Form Validation Functionality
+    // This feature validates user input in the registration form
+    // The rules are the shared 'registration' schema (data-schema on the form)
+    // plus the field attributes, so the server applies the same checks
+    const userForm = document.getElementById('user-form');
+    const registrationValidator = createFormValidator(userForm);
+    
+    userForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        validateForm();
+    });
+    
+    // Validation function
+    function validateForm() {
+        registrationValidator.validate().then(function(result) {
+            // Show feedback based on validation result
+            if (result.isValid) {
+                registerUser(result.values);
+            } else {
+                notifications.error('Please fix the errors in the form', { duration: 5000 });
+            }
+        });
+    }
+    
+    // Sends a validated registration and reports the outcome
+    // Parameter:
+    // - formValues: An object keyed by the form field names
+    function registerUser(formValues) {
+        // Add loading animation
+        const submitButton = userForm.querySelector('button[type="submit"]');
+        const originalText = submitButton.textContent;
+        submitButton.innerHTML = originalText + ' <span class="loading"></span>';
+        submitButton.disabled = true;
+        
+        // Send the registration to the server, which re-checks the same rules
+        submitRegistration(formValues)
+            .then(function(result) {
+                if (result.ok) {
+                    // The server signs new accounts in straight away
+                    startSession(result.data);
+                    notifications.success('Welcome, ' + result.data.user.name + '. You are now signed in.', { title: 'Registration successful' });
+                    
+                    // The address is taken now
+                    delete emailAvailability[formValues.email.trim().toLowerCase()];
+                    
+                    // Reset form after success
+                    userForm.reset();
+                    registrationValidator.reset();
+                } else {
+                    // Render field-level errors from the server into the matching spans
+                    registrationValidator.showErrors(result.data.errors || {});
+                    
+                    notifications.error(result.data.error || 'Registration failed', { title: 'Registration failed' });
+                }
+            })
+            .catch(function() {
+                notifications.error('Could not reach the server.', {
+                    title: 'Registration failed',
+                    actions: [{ label: 'Try again', onClick: validateForm }]
+                });
+            })
+            .finally(function() {
+                submitButton.innerHTML = originalText;
+                submitButton.disabled = false;
+            });
+    }
+    
+    // Posts the registration form to the server
+    // Parameter:
+    // - formValues: An object keyed by the form field names
+    // Returns: A promise resolving to { ok, status, data }
+    function submitRegistration(formValues) {
+        return fetch(API_BASE_URL + '/register', {
+            method: 'POST',
+            headers: withCsrfToken({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(formValues)
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                return { ok: response.ok, status: response.status, data: data };
+            });
+        });
+    }
+    
+    // Sign In Functionality
+    // The session lives in an HTTP-only cookie the page can't read, so it asks
+    // the server who is signed in and updates the page from the answer
+    const loginForm = document.getElementById('login-form');
+    const loginValidator = createFormValidator(loginForm);
+    const accountStatus = document.getElementById('account-status');
+    const logoutBtn = document.getElementById('logout-btn');
+    const checkoutCustomer = document.getElementById('checkout-customer');
+    
+    // The signed-in user ({ id, name, email, isAdmin }), or null
+    let currentUser = null;
+    // Sent back in the X-CSRF-Token header of every request that changes
+    // something, so the server knows the request came from this page
+    let csrfToken = null;
+    
+    // Function that adds the CSRF token to a request's headers
+    // Parameter:
+    // - headers: The request's other headers
+    // Returns: The headers, plus X-CSRF-Token while signed in
+    function withCsrfToken(headers) {
+        if (csrfToken) {
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+        return headers;
+    }
+    
+    // Takes the user and CSRF token from a session, sign-in or registration answer
+    function startSession(data) {
+        csrfToken = data.csrfToken || null;
+        showSignedInUser(data.user || null);
+    }
+    
+    // Shows either the sign-in form or the signed-in user, and who checkout pays as
+    // Parameter:
+    // - user: The user from the server, or null when signed out
+    function showSignedInUser(user) {
+        currentUser = user;
+        if (!user) {
+            csrfToken = null;
+        }
+        loginForm.hidden = !!user;
+        accountStatus.hidden = !user;
+        
+        if (user) {
+            document.getElementById('account-name').textContent = user.name;
+            document.getElementById('account-email').textContent = user.email;
+            document.getElementById('admin-link').hidden = !user.isAdmin;
+            checkoutCustomer.textContent = 'Paying as ' + user.name + ' (' + user.email + ')';
+        } else {
+            checkoutCustomer.textContent = 'Sign in or register above to pay.';
+        }
+    }
+    
+    fetch(API_BASE_URL + '/session')
+        .then(function(response) {
+            return response.json();
+        })
+        .then(function(data) {
+            startSession(data);
+        })
+        .catch(function() {
+            showSignedInUser(null);
+        });
+    
+    loginForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        validateLogin();
+    });
+    
+    // Sign in validation function
+    // Uses the shared 'login' schema, like validateForm() does for registration
+    function validateLogin() {
+        loginValidator.validate().then(function(result) {
+            if (result.isValid) {
+                loginUser(result.values);
+            } else {
+                notifications.error('Please fix the errors in the form', { duration: 5000 });
+            }
+        });
+    }
+    
+    // Sends validated credentials and reports the outcome
+    // Parameter:
+    // - formValues: An object keyed by the form field names
+    function loginUser(formValues) {
+        const submitButton = loginForm.querySelector('button[type="submit"]');
+        const originalText = submitButton.textContent;
+        submitButton.innerHTML = originalText + ' <span class="loading"></span>';
+        submitButton.disabled = true;
+        
+        submitLogin(formValues)
+            .then(function(result) {
+                if (result.ok) {
+                    startSession(result.data);
+                    notifications.success('Welcome back, ' + result.data.user.name + '.', { title: 'Signed in' });
+                    loginForm.reset();
+                    loginValidator.reset();
+                } else {
+                    // Render field-level errors from the server into the matching spans
+                    loginValidator.showErrors(result.data.errors || {});
+                    
+                    notifications.error(result.data.error || 'Could not sign you in', { title: 'Sign in failed' });
+                }
+            })
+            .catch(function() {
+                notifications.error('Could not reach the server.', {
+                    title: 'Sign in failed',
+                    actions: [{ label: 'Try again', onClick: validateLogin }]
+                });
+            })
+            .finally(function() {
+                submitButton.innerHTML = originalText;
+                submitButton.disabled = false;
+            });
+    }
+    
+    // Posts the sign-in form to the server, which sets the session cookie
+    // Parameter:
+    // - formValues: An object keyed by the form field names
+    // Returns: A promise resolving to { ok, status, data }
+    function submitLogin(formValues) {
+        return fetch(API_BASE_URL + '/login', {
+            method: 'POST',
+            headers: withCsrfToken({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(formValues)
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                return { ok: response.ok, status: response.status, data: data };
+            });
+        });
+    }
+    
+    logoutBtn.addEventListener('click', function() {
+        fetch(API_BASE_URL + '/logout', { method: 'POST', headers: withCsrfToken({}) })
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                showSignedInUser(null);
+                notifications.info('You have been signed out.');
+            })
+            .catch(function() {
+                notifications.error('Could not sign you out. Please try again.');
+            });
+    });
+    
+    // Moves the user to the sign-in form, e.g. when their session has run out
+    function askToSignIn(message) {
+        showSignedInUser(null);
+        notifications.warning(message, {
+            actions: [{ label: 'Sign in', onClick: function() {
+                document.getElementById('login').scrollIntoView({ behavior: globalAnimationSpeed > 0 ? 'smooth' : 'auto' });
+                document.getElementById('login-email').focus({ preventScroll: true });
+            } }]
+        });
+    }
+    
+    // Checkout Functionality
+    // This feature sends payments to the /pay API and follows the returned checkout link
+    const checkoutForm = document.getElementById('checkout-form');
+    const checkoutLoadingSpinner = document.getElementById('loading-spinner');
+    
+    // Confirmation dialog shown before the payment is sent
+    const checkoutConfirmModal = document.getElementById('checkout-confirm-modal');
+    const checkoutConfirmMessage = document.getElementById('checkout-confirm-message');
+    const checkoutConfirmBtn = document.getElementById('checkout-confirm-btn');
+    const checkoutConfirmController = createModalController(checkoutConfirmModal);
+    const checkoutValidator = createFormValidator(checkoutForm);
+    const checkoutAmountLabel = document.getElementById('checkout-amount-label');
+    const checkoutPhoneGroup = document.getElementById('checkout-phone-group');
+    const checkoutPhone = document.getElementById('checkout-phone');
+    
+    // The provider each currency is paid through, from /api/currencies
+    let currencyProviders = {};
+    
+    // M-Pesa sends its payment prompt to the customer's phone, so the phone
+    // field is shown, and sent, only for currencies paid through M-Pesa.
+    // While hidden it is disabled, which keeps it out of validation.
+    function updateCheckoutPhone() {
+        const needsPhone = currencyProviders[checkoutForm.elements.currency.value] === 'mpesa';
+        checkoutPhoneGroup.hidden = !needsPhone;
+        checkoutPhone.disabled = !needsPhone;
+    }
+    
+    fetch(API_BASE_URL + '/currencies')
+        .then(function(response) {
+            return response.json();
+        })
+        .then(function(data) {
+            currencyProviders = data.providers || {};
+            updateCheckoutPhone();
+        })
+        .catch(function(error) {
+            // The server still asks for the phone number if it turns out to be needed
+            console.warn('Could not load the payment providers:', error);
+        });
+    
+    // The currency dropdown fills the hidden currency field; show its code next to the amount
+    checkoutForm.addEventListener('change', function(e) {
+        if (e.detail && e.target.contains(checkoutForm.elements.currency)) {
+            checkoutAmountLabel.textContent = 'Amount (' + e.detail.value + '):';
+            checkoutValidator.validateField('currency');
+            updateCheckoutPhone();
+        }
+    });
+    
+    // The validated payment waiting for confirmation
+    let confirmedPayment = null;
+    
+    // Idempotency key of the last attempt that never got an answer, so a
+    // retry with the same details can't start a second payment
+    let pendingCheckout = null;
+    
+    checkoutForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        validateCheckout();
+    });
+    
+    // Checkout validation function
+    // Uses the shared 'payment' schema, the same rules the server applies to /pay
+    function validateCheckout() {
+        if (!currentUser) {
+            askToSignIn('Please sign in to pay.');
+            return;
+        }
+        
+        checkoutValidator.validate().then(function(result) {
+            if (!result.isValid) {
+                notifications.error('Please fix the errors in the form', { duration: 5000 });
+                return;
+            }
+            confirmCheckout(result.values);
+        });
+    }
+    
+    // Ask for confirmation before any money moves
+    // The server charges the signed-in user, so only the amount, currency and,
+    // for M-Pesa, the phone to prompt are sent
+    function confirmCheckout(values) {
+        confirmedPayment = {
+            amount: values.amount.trim(),
+            currency: values.currency
+        };
+        if (values.phone !== undefined) {
+            confirmedPayment.phone = values.phone.trim();
+        }
+        checkoutConfirmMessage.textContent = 'Pay ' + confirmedPayment.currency + ' ' + confirmedPayment.amount + ' as ' +
+            currentUser.name + ' (' + currentUser.email + ')' +
+            (confirmedPayment.phone ? ' with M-Pesa on ' + confirmedPayment.phone : '') + '?';
+        checkoutConfirmController.open(checkoutForm.querySelector('button[type="submit"]'));
+    }
+    
+    checkoutConfirmBtn.addEventListener('click', function() {
+        startCheckout(confirmedPayment);
+    });
+    
+    // Sends a confirmed payment to the server
+    // The confirmation stays open while the request is in flight, and after an
+    // error so the customer can try again from it
+    function startCheckout(payment) {
+        const body = JSON.stringify(payment);
+        const idempotencyKey = pendingCheckout && pendingCheckout.body === body
+            ? pendingCheckout.key
+            : crypto.randomUUID();
+        pendingCheckout = { body: body, key: idempotencyKey };
+        
+        // Show the loading spinner while the request is in flight
+        const submitButton = checkoutConfirmBtn;
+        const originalText = submitButton.textContent;
+        submitButton.innerHTML = originalText + ' <span class="loading"></span>';
+        submitButton.disabled = true;
+        checkoutLoadingSpinner.classList.add('active');
+        
+        submitCheckout(body, idempotencyKey)
+            .then(function(result) {
+                // The server answered, so this key is used up either way
+                pendingCheckout = null;
+                
+                if (result.ok && result.data.data.link) {
+                    // Hand over to the provider's hosted checkout page
+                    window.location.href = result.data.data.link;
+                    return;
+                }
+                
+                if (result.ok) {
+                    // No link (e.g. M-Pesa STK push): the customer finishes on their phone
+                    checkoutConfirmController.close();
+                    notifications.info(result.data.message, { title: 'Payment started' });
+                    watchPaymentStatus(result.data.tx_ref);
+                    return;
+                }
+                
+                if (result.status === 401) {
+                    checkoutConfirmController.close();
+                    askToSignIn('Your session has ended. Please sign in again to pay.');
+                    return;
+                }
+                
+                // M-Pesa asks for a phone number the form didn't know it needed
+                // (e.g. when the provider list couldn't be loaded)
+                if (result.data.errors && result.data.errors.phone) {
+                    checkoutPhoneGroup.hidden = false;
+                    checkoutPhone.disabled = false;
+                }
+                
+                // Render field-level errors from the server into the matching spans
+                checkoutValidator.showErrors(result.data.errors || {});
+                if (result.data.errors) {
+                    checkoutConfirmController.close();
+                }
+                
+                notifications.error(result.data.error || 'The payment could not be started', { title: 'Payment failed' });
+            })
+            .catch(function() {
+                // Retrying reuses the idempotency key, so it can't pay twice
+                notifications.error('Could not reach the server.', {
+                    title: 'Payment failed',
+                    actions: [{ label: 'Try again', onClick: function() {
+                        startCheckout(payment);
+                    } }]
+                });
+            })
+            .finally(function() {
+                submitButton.innerHTML = originalText;
+                submitButton.disabled = false;
+                checkoutLoadingSpinner.classList.remove('active');
+            });
+    }
+    
+    // Posts a payment to the server
+    // Parameters:
+    // - body: The JSON encoded payment details
+    // - idempotencyKey: Sent as the Idempotency-Key header so retries are safe
+    // Returns: A promise resolving to { ok, status, data }
+    function submitCheckout(body, idempotencyKey) {
+        return fetch(API_BASE_URL + '/pay', {
+            method: 'POST',
+            headers: withCsrfToken({
+                'Content-Type': 'application/json',
+                'Idempotency-Key': idempotencyKey
+            }),
+            body: body
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                return { ok: response.ok, status: response.status, data: data };
+            });
+        });
+    }
+    
+    // The "waiting for confirmation" toast, kept up while a payment is polled
+    let paymentStatusToast = null;
+    
+    function clearPaymentStatusToast() {
+        if (paymentStatusToast) {
+            paymentStatusToast.dismiss();
+            paymentStatusToast = null;
+        }
+    }
+    
+    // Reports the outcome of a payment through the notification service
+    // Polls the server while the payment is still pending, since the provider
+    // may confirm it a few seconds after the customer lands back here
+    // Parameters:
+    // - txRef: The payment reference returned by /pay
+    // - attemptsLeft: How many more times to poll a pending payment (default: 10)
+    function watchPaymentStatus(txRef, attemptsLeft = 10) {
+        fetch(API_BASE_URL + '/payments/' + encodeURIComponent(txRef))
+            .then(function(response) {
+                return response.json().then(function(data) {
+                    if (!response.ok) {
+                        throw new Error(data.error);
+                    }
+                    return data;
+                });
+            })
+            .then(function(payment) {
+                if (payment.status === 'pending' && attemptsLeft > 0) {
+                    if (!paymentStatusToast) {
+                        paymentStatusToast = notifications.info('Waiting for payment confirmation...', { duration: 0 });
+                    }
+                    setTimeout(function() {
+                        watchPaymentStatus(txRef, attemptsLeft - 1);
+                    }, 3000);
+                    return;
+                }
+                
+                const messages = {
+                    successful: 'Payment of ' + payment.currency + ' ' + payment.amount + ' received. Thank you!',
+                    failed: 'Your payment failed. No money was taken.',
+                    cancelled: 'You cancelled the payment.',
+                    pending: 'Your payment is still being processed. Please check back shortly.'
+                };
+                const types = { successful: 'success', failed: 'error', cancelled: 'warning', pending: 'info' };
+                clearPaymentStatusToast();
+                
+                // A successful payment has a receipt, which is also emailed
+                const receiptUrl = API_BASE_URL + '/receipts/' + encodeURIComponent(txRef);
+                const actions = payment.status !== 'successful' ? [] : [
+                    { label: 'View receipt', dismiss: false, onClick: function() {
+                        window.open(receiptUrl, '_blank', 'noopener');
+                    } },
+                    { label: 'Download PDF', dismiss: false, onClick: function() {
+                        window.location.href = receiptUrl + '?format=pdf';
+                    } }
+                ];
+                notifications.show({
+                    type: types[payment.status],
+                    title: 'Payment ' + payment.status,
+                    message: messages[payment.status],
+                    actions: actions
+                });
+            })
+            .catch(function(error) {
+                clearPaymentStatusToast();
+                notifications.error(error.message || 'Could not check the payment status', {
+                    actions: [{ label: 'Check again', onClick: function() {
+                        watchPaymentStatus(txRef);
+                    } }]
+                });
+            });
+    }
+    
+    // Coming back from the provider's checkout: /api/callback sends the customer
+    // here with ?tx_ref=...
+    const returnedTxRef = new URLSearchParams(window.location.search).get('tx_ref');
+    if (returnedTxRef) {
+        history.replaceState(null, '', window.location.pathname + '#checkout');
+        document.getElementById('checkout').scrollIntoView();
+        watchPaymentStatus(returnedTxRef);
+    }
+    
+    // Function to create floating elements
+    function createFloatingElement(text, container) {
+        const element = document.createElement('div');
+        element.textContent = text;
+        element.style.position = 'absolute';
+        element.style.left = Math.random() * 80 + 10 + '%';
+        element.style.top = Math.random() * 80 + 10 + '%';
+        element.style.fontSize = Math.random() * 20 + 10 + 'px';
+        element.style.color = `hsl(${Math.random() * 360}, 70%, 60%)`;
+        container.appendChild(element);
+        
+        // Remove element after animation completes
+        animationRunner.play(element, createAnimationConfig('float', 3000, 'ease-in-out')).then(function() {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+    
+    // Function to apply glow effect to elements
+    function applyGlowEffect(element) {
+        return animationRunner.play(element, createAnimationConfig('glow', 1000, 'ease-in-out'));
+    }
+    
+    // Add interactive features to the page. This already runs on
+    // DOMContentLoaded, so a listener for it added here would never fire.
+    
+    // Add floating elements to the header on click
+    const header = document.querySelector('header');
+    header.addEventListener('click', function(e) {
+        if (e.target === header) {
+            createFloatingElement('✨', header);
+            
+        }
+    });
+    
+    // Add glow effect to sections on hover
+    const sections = document.querySelectorAll('section');
+    sections.forEach(section => {
+        section.addEventListener('mouseenter', function() {
+            applyGlowEffect(this);
+        });
+    });
+    
+    // Add color-changing feature to the header
+    let colorChangeInterval;
+    header.addEventListener('dblclick', function() {
+        if (colorChangeInterval) {
+            clearInterval(colorChangeInterval);
+            colorChangeInterval = null;
+            // Reset to original gradient
+            this.style.background = '';
+        } else {
+            // Create an animation configuration for header color change
+            const headerAnimationConfig = createAnimationConfig('colorChange', 1000, 'linear');
+            
+            // The gradient walks around the colour wheel from the accent
+            // colour, read on every step so a newly picked accent shows
+            let hueOffset = 0;
+            colorChangeInterval = setInterval(() => {
+                hueOffset = (hueOffset + 30) % 360;
+                const accent = themeManager.getAccent();
+                const color1 = shiftHue(accent, hueOffset);
+                const color2 = shiftHue(accent, hueOffset + 60);
+                this.style.background = `linear-gradient(45deg, ${color1}, ${color2})`;
+            }, parseFloat(headerAnimationConfig.duration));
+        }
+    });
+});
\ No newline at end of file
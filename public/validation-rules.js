@@ -0,0 +1,283 @@
+// Validation rules shared by the browser and the server
+// Loaded with a <script> tag this defines a global ValidationRules object;
+// server.js requires the same file through lib/validation.js, so a form and
+// the API it posts to always agree on what counts as valid.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ValidationRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    // A positive number with at most two decimal places, e.g. "150" or "99.50"
+    const AMOUNT_REGEX = /^\d+(\.\d{1,2})?$/;
+
+    // Currencies payments may be made in, with the region they are grouped under
+    const CURRENCIES = [
+        { code: 'KES', name: 'Kenyan shilling', region: 'East Africa' },
+        { code: 'UGX', name: 'Ugandan shilling', region: 'East Africa' },
+        { code: 'TZS', name: 'Tanzanian shilling', region: 'East Africa' },
+        { code: 'NGN', name: 'Nigerian naira', region: 'West Africa' },
+        { code: 'GHS', name: 'Ghanaian cedi', region: 'West Africa' },
+        { code: 'ZAR', name: 'South African rand', region: 'Southern Africa' },
+        { code: 'USD', name: 'US dollar', region: 'International' }
+    ];
+    const SUPPORTED_CURRENCIES = CURRENCIES.map(c => c.code);
+
+    // Lowest scorePassword() score a registration password may have
+    const MIN_PASSWORD_STRENGTH = 2;
+    const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+    // Passwords that top every leaked-password list; compared case-insensitively
+    const COMMON_PASSWORDS = [
+        '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '111111', '000000',
+        '123123', '654321', '666666', '121212', '112233', '123321', '7777777', '987654321',
+        'password', 'password1', 'password123', 'passw0rd', 'p@ssw0rd', 'qwerty', 'qwerty123',
+        'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r', '1qaz2wsx', 'qazwsx',
+        'abc123', 'abcd1234', 'a1b2c3', 'iloveyou', 'admin', 'admin123', 'welcome', 'welcome1',
+        'letmein', 'login', 'monkey', 'dragon', 'master', 'sunshine', 'princess', 'football',
+        'baseball', 'superman', 'batman', 'starwars', 'shadow', 'michael', 'jennifer', 'charlie',
+        'trustno1', 'whatever', 'freedom', 'hello123', 'secret', 'changeme', 'computer',
+        'internet', 'summer', 'flower', 'hottie', 'loveme', 'nicole', 'daniel', 'jordan',
+        'ashley', 'soccer', 'killer', 'pokemon', 'cheese', 'ginger', 'pepper', 'matrix',
+        'mustang', 'access', 'biteme', 'maggie', 'buster', 'hunter', 'hunter2', 'tigger',
+        'zaq12wsx', 'test123', 'guest', 'default', 'root', 'toor', 'user', 'samsung', 'google'
+    ];
+
+    // Keyboard and alphabet runs that count as sequences in either direction
+    const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+    function hasSequence(password) {
+        const lower = password.toLowerCase();
+        for (let i = 0; i + 3 <= lower.length; i++) {
+            const run = lower.slice(i, i + 3);
+            const reversed = run.split('').reverse().join('');
+            if (SEQUENCES.some(seq => seq.indexOf(run) !== -1 || seq.indexOf(reversed) !== -1)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Function that rates how hard a password is to guess
+    // Length and the mix of lowercase, uppercase, digits and symbols earn
+    // points; runs of one character, sequences like "abc" or "321" and
+    // passwords from the common list cost them
+    // Parameter:
+    // - password: The password to rate
+    // Returns: { score, label, suggestions } where score runs from 0 (very weak) to 4 (very strong)
+    function scorePassword(password) {
+        const value = typeof password === 'string' ? password : '';
+        const suggestions = [];
+
+        if (COMMON_PASSWORDS.indexOf(value.toLowerCase()) !== -1) {
+            return { score: 0, label: STRENGTH_LABELS[0], suggestions: ['This is one of the most common passwords'] };
+        }
+
+        let points = value.length >= 16 ? 4 : value.length >= 12 ? 3 : value.length >= 8 ? 2 : value.length >= 6 ? 1 : 0;
+        if (value.length < 12) {
+            suggestions.push('Use at least 12 characters');
+        }
+
+        const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(regex => regex.test(value)).length;
+        points += Math.max(0, classes - 1);
+        if (classes < 3) {
+            suggestions.push('Mix upper and lower case letters, numbers and symbols');
+        }
+
+        if (/(.)\1\1/.test(value)) {
+            points -= 1;
+            suggestions.push('Avoid repeating the same character');
+        }
+        if (hasSequence(value)) {
+            points -= 1;
+            suggestions.push('Avoid sequences like "abc" or "123"');
+        }
+
+        const score = points <= 1 ? 0 : points <= 3 ? 1 : points === 4 ? 2 : points === 5 ? 3 : 4;
+        return { score: score, label: STRENGTH_LABELS[score], suggestions: suggestions };
+    }
+
+    // Named rules: each checks a value and returns true when it passes
+    // Parameters passed to every rule:
+    // - value: The field's value as a string
+    // - param: The rule's parameter from the schema or HTML attribute
+    // - values: Every field's value, keyed by field name (used by 'match')
+    // A rule may return a promise instead; those only run in the browser
+    const rules = {
+        required: function(value) {
+            return value.trim() !== '';
+        },
+        minlength: function(value, param) {
+            return value.length >= Number(param);
+        },
+        maxlength: function(value, param) {
+            return value.length <= Number(param);
+        },
+        email: function(value) {
+            return EMAIL_REGEX.test(value);
+        },
+        amount: function(value) {
+            return AMOUNT_REGEX.test(value) && parseFloat(value) > 0;
+        },
+        pattern: function(value, param) {
+            return new RegExp('^(?:' + param + ')$').test(value);
+        },
+        oneOf: function(value, param) {
+            return param.indexOf(value) !== -1;
+        },
+        match: function(value, param, values) {
+            return value === (values[param] || '');
+        },
+        // param is the lowest acceptable scorePassword() score
+        strength: function(value, param) {
+            return scorePassword(value).score >= Number(param);
+        }
+    };
+
+    // Messages used when a schema or attribute doesn't supply its own
+    const defaultMessages = {
+        required: 'This field is required',
+        minlength: 'Must be at least {param} characters',
+        maxlength: 'Must be at most {param} characters',
+        email: 'Please enter a valid email address',
+        amount: 'Please enter a positive amount with at most two decimals',
+        pattern: 'Please match the requested format',
+        oneOf: 'Must be one of {param}',
+        match: 'Does not match',
+        strength: 'Please choose a stronger password'
+    };
+
+    // Schemas: field name -> { trim, rules: [{ rule, param, message }] }
+    // Rules run in order and the first failure is the field's error; an empty
+    // field that isn't required skips its other rules. trim: true checks the
+    // value with surrounding whitespace removed.
+    const schemas = {
+        registration: {
+            name: { trim: true, rules: [
+                { rule: 'required', message: 'Name is required' },
+                { rule: 'minlength', param: 2, message: 'Name must be at least 2 characters' }
+            ] },
+            email: { trim: true, rules: [
+                { rule: 'required', message: 'Email is required' },
+                { rule: 'email', message: 'Please enter a valid email address' }
+            ] },
+            password: { rules: [
+                { rule: 'required', message: 'Password is required' },
+                { rule: 'minlength', param: 6, message: 'Password must be at least 6 characters' },
+                { rule: 'strength', param: MIN_PASSWORD_STRENGTH, message: 'Password is too weak, see the suggestions below' }
+            ] },
+            'confirm-password': { rules: [
+                { rule: 'required', message: 'Please confirm your password' },
+                { rule: 'match', param: 'password', message: 'Passwords do not match' }
+            ] }
+        },
+        // Only checks the password is there; whether it is right is up to the server
+        login: {
+            email: { trim: true, rules: [
+                { rule: 'required', message: 'Email is required' },
+                { rule: 'email', message: 'Please enter a valid email address' }
+            ] },
+            password: { rules: [
+                { rule: 'required', message: 'Password is required' }
+            ] }
+        },
+        // The customer's name and email come from their session, not the form
+        payment: {
+            amount: { trim: true, rules: [
+                { rule: 'required', message: 'Amount is required' },
+                { rule: 'amount', message: 'Amount must be a positive number with at most two decimals' }
+            ] },
+            currency: { trim: true, rules: [
+                { rule: 'required', message: 'Currency must be one of ' + SUPPORTED_CURRENCIES.join(', ') },
+                { rule: 'oneOf', param: SUPPORTED_CURRENCIES, message: 'Currency must be one of ' + SUPPORTED_CURRENCIES.join(', ') }
+            ] }
+        }
+    };
+
+    function formatMessage(check) {
+        if (check.message) {
+            return check.message;
+        }
+        const param = Array.isArray(check.param) ? check.param.join(', ') : check.param;
+        return (defaultMessages[check.rule] || 'This value is not valid').replace('{param}', param);
+    }
+
+    // Function that checks one field against its rules
+    // Parameters:
+    // - field: { trim, rules } from a schema
+    // - value: The field's value (anything that isn't a string counts as empty)
+    // - values: Every field's value, for rules that compare fields
+    // Returns: The first failing rule's message, a promise of one when an async
+    // rule has to decide, or null when the value is valid
+    function checkField(field, value, values) {
+        let text = typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+        if (field.trim) {
+            text = text.trim();
+        }
+
+        const checks = field.rules || [];
+        const isRequired = checks.some(c => c.rule === 'required');
+        if (!isRequired && text.trim() === '') {
+            return null;
+        }
+
+        for (let i = 0; i < checks.length; i++) {
+            const rule = rules[checks[i].rule];
+            if (!rule) {
+                throw new Error('Unknown validation rule: ' + checks[i].rule);
+            }
+
+            const result = rule(text, checks[i].param, values || {});
+            if (result && typeof result.then === 'function') {
+                // Finish the remaining rules once the async one has answered
+                const remaining = { rules: checks.slice(i + 1) };
+                return Promise.resolve(result).then(function(passed) {
+                    return passed ? checkField(remaining, text, values) : formatMessage(checks[i]);
+                });
+            }
+            if (!result) {
+                return formatMessage(checks[i]);
+            }
+        }
+        return null;
+    }
+
+    // Function that validates a set of values against a schema, synchronously
+    // Async rules are skipped; use checkField for those
+    // Parameters:
+    // - schema: One of the schemas above, or any object in the same shape
+    // - values: An object keyed by field name, e.g. a request body
+    // Returns: { errors, isValid } where errors maps field names to messages
+    function validate(schema, values) {
+        const errors = {};
+        Object.keys(schema).forEach(function(name) {
+            const message = checkField(schema[name], values[name], values);
+            if (typeof message === 'string') {
+                errors[name] = message;
+            }
+        });
+        return { errors: errors, isValid: Object.keys(errors).length === 0 };
+    }
+
+    return {
+        rules: rules,
+        schemas: schemas,
+        CURRENCIES: CURRENCIES,
+        SUPPORTED_CURRENCIES: SUPPORTED_CURRENCIES,
+        MIN_PASSWORD_STRENGTH: MIN_PASSWORD_STRENGTH,
+        STRENGTH_LABELS: STRENGTH_LABELS,
+        isValidEmail: rules.email,
+        scorePassword: scorePassword,
+        checkField: checkField,
+        validate: validate,
+        // Adds a custom rule, e.g. an async "email already taken" check
+        defineRule: function(name, check, message) {
+            rules[name] = check;
+            if (message) {
+                defaultMessages[name] = message;
+            }
+        }
+    };
+});
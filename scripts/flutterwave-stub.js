@@ -0,0 +1,121 @@
+// Local stand-in for the parts of the Flutterwave v3 API that server.js uses.
+// Run it with `npm run stub:flutterwave` and start the server with
+// FLW_BASE_URL_SANDBOX=http://localhost:5100 to exercise the whole payment
+// flow offline.
+//
+// Visiting the checkout link returned by POST /v3/payments lets you pick an
+// outcome; the stub then redirects to the merchant's redirect_url and, when
+// STUB_WEBHOOK_URL is set, also delivers a charge.completed webhook signed
+// with FLW_SECRET_HASH_SANDBOX.
+const express = require("express");
+const axios = require("axios");
+require("dotenv").config();
+
+const PORT = process.env.FLW_STUB_PORT || 5100;
+const STUB_URL = `http://localhost:${PORT}`;
+
+const app = express();
+app.use(express.json());
+
+// tx_ref -> { request, transaction }
+const payments = new Map();
+let nextTransactionId = 1000;
+
+app.post("/v3/payments", (req, res) => {
+  const { tx_ref: txRef, amount, currency, redirect_url: redirectUrl } =
+    req.body;
+  if (!txRef || !amount || !currency || !redirectUrl) {
+    return res.status(400).json({
+      status: "error",
+      message: "tx_ref, amount, currency and redirect_url are required",
+      data: null,
+    });
+  }
+
+  payments.set(txRef, { request: req.body, transaction: null });
+  res.json({
+    status: "success",
+    message: "Hosted Link",
+    data: { link: `${STUB_URL}/checkout/${encodeURIComponent(txRef)}` },
+  });
+});
+
+app.get("/checkout/:txRef", (req, res) => {
+  const { txRef } = req.params;
+  if (!payments.has(txRef)) return res.status(404).send("Unknown tx_ref");
+
+  const outcomes = ["successful", "failed", "cancelled"]
+    .map(
+      (status) =>
+        `<li><a href="/checkout/${encodeURIComponent(txRef)}/${status}">${status}</a></li>`
+    )
+    .join("");
+  res.send(`<h1>Flutterwave stub</h1><p>Pay ${txRef} as:</p><ul>${outcomes}</ul>`);
+});
+
+app.get("/checkout/:txRef/:status", async (req, res) => {
+  const { txRef, status } = req.params;
+  const payment = payments.get(txRef);
+  if (!payment) return res.status(404).send("Unknown tx_ref");
+
+  const query = new URLSearchParams({ status, tx_ref: txRef });
+
+  if (status !== "cancelled") {
+    payment.transaction = {
+      id: nextTransactionId++,
+      tx_ref: txRef,
+      amount: payment.request.amount,
+      currency: payment.request.currency,
+      status,
+      payment_type: "card",
+      customer: payment.request.customer,
+    };
+    query.set("transaction_id", payment.transaction.id);
+
+    if (process.env.STUB_WEBHOOK_URL) {
+      try {
+        await axios.post(
+          process.env.STUB_WEBHOOK_URL,
+          { event: "charge.completed", data: payment.transaction },
+          { headers: { "verif-hash": process.env.FLW_SECRET_HASH_SANDBOX || process.env.FLW_SECRET_HASH || "" } }
+        );
+      } catch (error) {
+        console.warn("Webhook delivery failed:", error.message);
+      }
+    }
+  }
+
+  res.redirect(`${payment.request.redirect_url}?${query}`);
+});
+
+function findTransaction(predicate) {
+  for (const { transaction } of payments.values()) {
+    if (transaction && predicate(transaction)) return transaction;
+  }
+  return null;
+}
+
+function sendVerification(res, transaction) {
+  if (!transaction) {
+    return res
+      .status(404)
+      .json({ status: "error", message: "No transaction was found", data: null });
+  }
+  res.json({ status: "success", message: "Transaction fetched successfully", data: transaction });
+}
+
+app.get("/v3/transactions/verify_by_reference", (req, res) => {
+  sendVerification(
+    res,
+    findTransaction((transaction) => transaction.tx_ref === req.query.tx_ref)
+  );
+});
+
+app.get("/v3/transactions/:id/verify", (req, res) => {
+  sendVerification(
+    res,
+    findTransaction((transaction) => String(transaction.id) === req.params.id)
+  );
+});
+
+app.listen(PORT, () => console.log(`Flutterwave stub running on ${STUB_URL}`));
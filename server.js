@@ -1,43 +1,662 @@
+const fs = require("fs/promises");
+const path = require("path");
 const express = require("express");
-const axios = require("axios");
+const cors = require("cors");
+const helmet = require("helmet");
 require("dotenv").config();
 
+const {
+  isValidEmail,
+  validateRegistration,
+  validateLogin,
+  validatePayment,
+  CURRENCIES,
+} = require("./lib/validation");
+const {
+  createUserStore,
+  toPublicUser,
+  DuplicateEmailError,
+} = require("./lib/users");
+const {
+  createPaymentLedger,
+  createTxRef,
+  FINAL_STATUSES,
+} = require("./lib/payments");
+const { createPaymentProvidersFromConfig } = require("./lib/providers");
+const { createIdempotencyMiddleware } = require("./lib/idempotency");
+const { createSessionManager } = require("./lib/sessions");
+const {
+  parseTransactionQuery,
+  queryTransactions,
+  toCsv,
+} = require("./lib/transactions");
+const { createMailer } = require("./lib/mailer");
+const { createReceiptService } = require("./lib/receipts");
+const { HttpError, requestId, apiErrorHandler } = require("./lib/errors");
+const { createRateLimiter, ipKey, emailKey } = require("./lib/rate-limit");
+const { createCsrfProtection } = require("./lib/csrf");
+const { loadConfig, ConfigError } = require("./lib/config");
+
+// Every setting is read and checked here, once; a bad one stops the boot
+// with a list of what to fix (see lib/config.js and .env.example)
+let config;
+try {
+  config = loadConfig(process.env, { rootDir: __dirname });
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+config.warnings.forEach((warning) => console.warn(`Config: ${warning}`));
+
+const { publicUrl, dataDir } = config;
+const PUBLIC_DIR = path.join(__dirname, "public");
+// The admin page lives outside public/ so only GET /admin, behind the
+// admin check, can serve it
+const ADMIN_PAGE = path.join(__dirname, "admin", "index.html");
+const HTTPS = publicUrl.startsWith("https://");
+
+const users = createUserStore(path.join(dataDir, "users.json"));
+// Session cookies are marked Secure whenever the site is served over HTTPS
+const sessions = createSessionManager(path.join(dataDir, "sessions.json"), {
+  loadUser: users.findById,
+  secure: HTTPS,
+});
+const payments = createPaymentLedger(path.join(dataDir, "payments.json"));
+const idempotency = createIdempotencyMiddleware(
+  path.join(dataDir, "idempotency.json")
+);
+// Receipts for successful payments, emailed when SMTP_HOST is set
+const receipts = createReceiptService(path.join(dataDir, "receipts.json"), {
+  mailer: config.smtp && createMailer(config.smtp),
+  loadPayment: payments.get,
+  receiptUrl: (txRef) => `${publicUrl}/api/receipts/${encodeURIComponent(txRef)}`,
+});
+const providers = createPaymentProvidersFromConfig(config.payments);
+
+function isAdmin(user) {
+  return Boolean(user) && config.adminEmails.includes(user.email.toLowerCase());
+}
+
+// The public user plus whether the page should offer the admin dashboard
+function toSessionUser(user) {
+  return user ? { ...toPublicUser(user), isAdmin: isAdmin(user) } : null;
+}
+
+// Route guard for the admin API: 401 when signed out, 403 for everyone
+// not listed in ADMIN_EMAILS
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return next(new HttpError(401, "unauthenticated", "Please sign in first"));
+  }
+  if (!isAdmin(req.user)) {
+    return next(new HttpError(403, "forbidden", "Admins only"));
+  }
+  next();
+}
+
+// Rate limits, per client IP and per account email. Sign-in and
+// registration allow a few tries per email so one address can't be guessed
+// at from many IPs, and more per IP since offices and mobile networks share
+// one; /pay limits how fast one account can start payments.
+const AUTH_WINDOW_MS = 15 * 60 * 1000;
+const AUTH_LIMIT_MESSAGE = "Too many attempts, please wait a few minutes and try again";
+const authLimiters = [
+  createRateLimiter({
+    windowMs: AUTH_WINDOW_MS,
+    max: 30,
+    keys: (req) => [ipKey(req)],
+    message: AUTH_LIMIT_MESSAGE,
+  }),
+  createRateLimiter({
+    windowMs: AUTH_WINDOW_MS,
+    max: 10,
+    keys: (req) => [emailKey(req.body && req.body.email)],
+    message: AUTH_LIMIT_MESSAGE,
+  }),
+];
+// The registration form checks the email as it is typed
+const emailCheckLimiter = createRateLimiter({
+  windowMs: AUTH_WINDOW_MS,
+  max: 100,
+  keys: (req) => [ipKey(req)],
+});
+const PAY_WINDOW_MS = 10 * 60 * 1000;
+const PAY_LIMIT_MESSAGE = "Too many payments started, please wait a few minutes and try again";
+const payLimiters = [
+  createRateLimiter({
+    windowMs: PAY_WINDOW_MS,
+    max: 30,
+    keys: (req) => [ipKey(req)],
+    message: PAY_LIMIT_MESSAGE,
+  }),
+  createRateLimiter({
+    windowMs: PAY_WINDOW_MS,
+    max: 10,
+    keys: (req) => [emailKey(req.user.email)],
+    message: PAY_LIMIT_MESSAGE,
+  }),
+];
+
 const app = express();
-app.use(express.json());
+// Set behind a proxy or load balancer so req.ip, which the rate limits go
+// by, is the client's address
+if (config.trustProxy !== null) {
+  app.set("trust proxy", config.trustProxy);
+}
+
+// Security headers for every response. The page and its scripts only load
+// from this origin and never use inline scripts or style attributes, which
+// is what lets the CSP stay this strict.
+app.use(
+  helmet({
+    contentSecurityPolicy: {
+      useDefaults: false,
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'"],
+        styleSrc: ["'self'"],
+        imgSrc: ["'self'", "data:"],
+        fontSrc: ["'self'"],
+        connectSrc: ["'self'"],
+        objectSrc: ["'none'"],
+        baseUri: ["'self'"],
+        formAction: ["'self'"],
+        frameAncestors: ["'none'"],
+        ...(HTTPS && { upgradeInsecureRequests: [] }),
+      },
+    },
+    xFrameOptions: { action: "deny" },
+    // Only sent over HTTPS, where it matters
+    strictTransportSecurity: HTTPS,
+  })
+);
+app.use(requestId);
+
+// Set once SIGTERM/SIGINT arrives; see shutdown() below
+let shuttingDown = false;
+
+// Connections that send another request while the server shuts down are
+// closed after it, so keep-alive clients move to another instance
+app.use((req, res, next) => {
+  if (shuttingDown) res.setHeader("Connection", "close");
+  next();
+});
+
+// Deployment probes. /healthz (liveness) only says the process is serving
+// requests. /readyz (readiness) also checks that the data directory the JSON
+// stores live in can be read and written, and fails once shutdown starts so
+// the load balancer stops sending traffic. The config was checked at boot;
+// the server doesn't get this far without a valid one.
+app.get("/healthz", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ status: "ok" });
+});
+
+app.get("/readyz", async (req, res) => {
+  const checks = { config: "ok", store: "ok" };
+  if (shuttingDown) checks.shutdown = "in progress";
+
+  try {
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.access(dataDir, fs.constants.R_OK | fs.constants.W_OK);
+  } catch (error) {
+    console.error(`[${req.id}] Data directory ${dataDir} is not usable:`, error.message);
+    checks.store = `data directory is not usable (${error.code || "error"})`;
+  }
+
+  const ready = !shuttingDown && checks.store === "ok";
+  res.setHeader("Cache-Control", "no-store");
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    mode: config.mode,
+    checks,
+  });
+});
+
+const api = express.Router();
+// Keep the raw body around for webhook signatures computed over exact bytes.
+// Provider events can be a few dozen KB; nothing the page sends comes close
+// to 10 KB. The first parser to run consumes the body, so order matters.
+const parseJson = (limit) =>
+  express.json({
+    limit,
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString("utf8");
+    },
+  });
+api.use("/webhooks", parseJson("256kb"));
+api.use(parseJson("10kb"));
+api.use(sessions.middleware);
+api.use(
+  createCsrfProtection({
+    allowedOrigins: [new URL(publicUrl).origin, ...config.corsOrigins],
+  })
+);
 
 // Test route
-app.get("/", (req, res) => {
-  res.send("Vibe Hackathon Payment API is running 🎉");
+api.get("/", (req, res) => {
+  res.json({ message: "Vibe Hackathon Payment API is running 🎉" });
 });
 
-// Example: Flutterwave payment
-app.post("/pay", async (req, res) => {
+// Registration: applies the same shared rules validateForm() runs in the
+// browser and signs the new user in
+api.post("/register", authLimiters, async (req, res, next) => {
+  const { errors, isValid, values } = validateRegistration(req.body);
+  if (!isValid) {
+    return next(new HttpError(400, "invalid_request", "Please fix the errors above", { errors }));
+  }
+
   try {
-    const response = await axios.post(
-      "https://api.flutterwave.com/v3/payments",
-      {
-        tx_ref: Date.now().toString(),
-        amount: req.body.amount,
-        currency: "KES",
-        redirect_url: "https://your-site.com/callback",
-        customer: {
-          email: req.body.email,
-          name: req.body.name,
-        },
-        payment_options: "card,mpesa,ussd",
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.FLW_SECRET_KEY}`,
-        },
-      }
+    const user = await users.create(values);
+    const session = await sessions.create(req, res, user);
+    res.status(201).json({ user: toSessionUser(user), csrfToken: session.csrfToken });
+  } catch (error) {
+    if (error instanceof DuplicateEmailError) {
+      return next(
+        new HttpError(409, "email_taken", "An account with this email already exists", {
+          errors: { email: "This email is already registered" },
+        })
+      );
+    }
+    next(error);
+  }
+});
+
+// Lets the registration form warn about a taken email before it is submitted
+api.get("/register/email-available", emailCheckLimiter, async (req, res, next) => {
+  const email = typeof req.query.email === "string" ? req.query.email.trim() : "";
+  if (!isValidEmail(email)) {
+    return next(
+      new HttpError(400, "invalid_request", "Please fix the errors above", {
+        errors: { email: "Please enter a valid email address" },
+      })
+    );
+  }
+
+  const user = await users.findByEmail(email);
+  res.json({ email, available: !user });
+});
+
+// Sessions
+// The page asks who is signed in when it loads; `user` is null when nobody
+// is. `csrfToken` goes in the X-CSRF-Token header of the session's requests.
+api.get("/session", (req, res) => {
+  res.json({
+    user: toSessionUser(req.user),
+    expiresAt: req.session ? req.session.expiresAt : null,
+    csrfToken: req.session ? req.session.csrfToken : null,
+  });
+});
+
+api.post("/login", authLimiters, async (req, res, next) => {
+  const { errors, isValid, values } = validateLogin(req.body);
+  if (!isValid) {
+    return next(new HttpError(400, "invalid_request", "Please fix the errors above", { errors }));
+  }
+
+  const user = await users.authenticate(values.email, values.password);
+  if (!user) {
+    // Don't reveal whether the email has an account
+    return next(
+      new HttpError(401, "invalid_credentials", "Incorrect email or password", {
+        errors: { password: "Incorrect email or password" },
+      })
     );
+  }
+  const session = await sessions.create(req, res, user);
+  res.json({
+    user: toSessionUser(user),
+    expiresAt: session.expiresAt,
+    csrfToken: session.csrfToken,
+  });
+});
+
+api.post("/logout", async (req, res) => {
+  await sessions.destroy(req, res);
+  res.json({ user: null });
+});
+
+// Payments
+// Adapter errors reach the error handler, which answers with their
+// { error, code, provider } shape
+
+// Currencies the payment form offers, as grouped dropdown options, and the
+// provider each one is paid through, so the form can ask for what that
+// provider needs (M-Pesa sends its payment prompt to a phone number)
+api.get("/currencies", (req, res) => {
+  res.json({
+    options: CURRENCIES.map((currency) => ({
+      value: currency.code,
+      label: `${currency.code} (${currency.name})`,
+      group: currency.region,
+    })),
+    providers: Object.fromEntries(
+      CURRENCIES.map(({ code }) => [code, providers.select({ currency: code }).name])
+    ),
+  });
+});
+
+// Send an Idempotency-Key header to make retries safe: a replay gets the
+// original response back instead of starting a second payment.
+// `provider` picks the adapter explicitly; otherwise PAYMENT_ROUTING decides
+// by currency, falling back to PAYMENT_DEFAULT_PROVIDER.
+// Only signed-in users can pay, as themselves: the customer's name and email
+// come from the session, never from the request body.
+api.post("/pay", sessions.requireUser, payLimiters, idempotency, async (req, res, next) => {
+  const { errors, isValid, values } = validatePayment(req.body, {
+    providers: providers.names,
+  });
+  if (!isValid) {
+    return next(new HttpError(400, "invalid_request", "Invalid payment request", { errors }));
+  }
+
+  const txRef = createTxRef();
+  const { amount, currency } = values;
+  const customer = {
+    id: req.user.id,
+    email: req.user.email,
+    name: req.user.name,
+  };
+
+  let provider;
+  try {
+    provider = providers.select(values);
+  } catch (error) {
+    return next(error);
+  }
+
+  await payments.create({ txRef, provider: provider.name, amount, currency, customer });
 
-    res.json(response.data);
+  try {
+    const result = await provider.createPayment({
+      txRef,
+      amount,
+      currency,
+      customer: { ...customer, phone: values.phone },
+      callbackUrl: config.payments.callbackUrl,
+    });
+
+    if (result.providerReference) {
+      await payments.transition(txRef, "pending", {
+        providerReference: result.providerReference,
+      });
+    }
+
+    res.json({
+      status: "success",
+      message: result.message,
+      tx_ref: txRef,
+      provider: provider.name,
+      data: { link: result.link },
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    await payments.transition(txRef, "failed", { reason: error.message });
+    next(error);
   }
 });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT} 🚀`));
+// Asks the payment's provider for the real state of the transaction and
+// records it in the ledger. Neither the callback query string nor a webhook
+// body is trusted on its own. `hints` carries ids from the callback/webhook,
+// and the status the customer came back with.
+async function settlePayment(payment, hints = {}) {
+  if (!payment || FINAL_STATUSES.includes(payment.status)) return payment;
+
+  const provider = providers.get(payment.provider || "flutterwave");
+  const outcome = await provider.verify(payment, hints);
+  const txRef = payment.tx_ref;
+  const details = {
+    transaction_id: outcome.transactionId || payment.transaction_id,
+    payment_type: outcome.paymentType,
+  };
+
+  if (outcome.status === "successful") {
+    const mismatch =
+      outcome.amount !== undefined &&
+      (outcome.currency !== payment.currency ||
+        Number(outcome.amount) < Number(payment.amount));
+
+    if (mismatch) {
+      return payments.transition(txRef, "failed", {
+        ...details,
+        reason: "Amount or currency does not match the original payment",
+      });
+    }
+    const settled = await payments.transition(txRef, "successful", details);
+    if (settled && settled.status === "successful") {
+      try {
+        await receipts.issue(settled);
+      } catch (error) {
+        // GET /receipts/:tx_ref issues it later; the payment itself went through
+        console.error(`Could not issue a receipt for ${txRef}:`, error.message);
+      }
+    }
+    return settled;
+  }
+
+  if (outcome.status === "failed" || outcome.status === "cancelled") {
+    return payments.transition(txRef, outcome.status, details);
+  }
+
+  return payment;
+}
+
+// Only the fields a customer needs to see the outcome of their payment
+function toPaymentStatus(payment) {
+  return {
+    tx_ref: payment.tx_ref,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    createdAt: payment.createdAt,
+    updatedAt: payment.updatedAt,
+  };
+}
+
+// Hosted checkouts (Flutterwave, Stripe) send the customer back here with
+// ?tx_ref=... and, for Flutterwave, &status=...&transaction_id=...
+// The customer is then redirected to the checkout page, which shows the
+// outcome from GET /payments/:tx_ref.
+api.get("/callback", async (req, res) => {
+  const { tx_ref: txRef, transaction_id: transactionId, status } = req.query;
+
+  // `status` in the query (Stripe's cancel_url adds status=cancelled) is only
+  // passed on as a hint: the adapter asks the provider to confirm that
+  // nothing was charged before the payment is recorded as cancelled
+  try {
+    const payment = await payments.get(txRef);
+    if (payment) await settlePayment(payment, { transactionId, status });
+  } catch (error) {
+    // The webhook can still settle the payment; the page keeps polling
+    console.error(`Could not verify payment ${txRef}:`, error.message);
+  }
+
+  const url = new URL(config.frontendUrl);
+  if (txRef) url.searchParams.set("tx_ref", txRef);
+  url.hash = "checkout";
+  res.redirect(url.toString());
+});
+
+// One endpoint per provider: /api/webhooks/flutterwave, /api/webhooks/mpesa,
+// /api/webhooks/stripe. Each adapter authenticates its own webhooks.
+api.post("/webhooks/:provider", async (req, res, next) => {
+  if (!providers.has(req.params.provider)) {
+    return next(new HttpError(404, "not_found", "Unknown payment provider"));
+  }
+  const provider = providers.get(req.params.provider);
+
+  try {
+    const event = provider.parseWebhook(req);
+    const payment =
+      event &&
+      (event.txRef
+        ? await payments.get(event.txRef)
+        : await payments.findByProviderReference(provider.name, event.providerReference));
+
+    if (payment) {
+      await settlePayment(payment, event);
+    }
+    res.status(200).json({ received: true });
+  } catch (error) {
+    // A non-2xx response makes the provider retry the webhook later
+    next(error);
+  }
+});
+
+api.get("/payments/:tx_ref", async (req, res, next) => {
+  const payment = await payments.get(req.params.tx_ref);
+  if (!payment) {
+    return next(new HttpError(404, "not_found", "Unknown transaction"));
+  }
+  res.json(toPaymentStatus(payment));
+});
+
+// Admin
+// Both take the same filters: ?status=&email=&from=&to=&sort=&order=, plus
+// &page=&pageSize= for the JSON listing. The CSV holds every match.
+async function findTransactions(req, options) {
+  const { errors, isValid, values } = parseTransactionQuery(req.query);
+  if (!isValid) {
+    throw new HttpError(400, "invalid_request", "Invalid filters", { errors });
+  }
+  return queryTransactions(await payments.list(), values, options);
+}
+
+api.get("/admin/transactions", requireAdmin, async (req, res) => {
+  res.json(await findTransactions(req));
+});
+
+api.get("/admin/transactions.csv", requireAdmin, async (req, res) => {
+  const result = await findTransactions(req, { paginate: false });
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`transactions-${date}.csv`);
+  res.type("text/csv").send(toCsv(result.items));
+});
+
+// Receipts
+// ?format=html (the default) shows the receipt; ?format=pdf downloads it.
+// Customers see their own receipts and admins see everyone's; any other
+// tx_ref is answered as unknown so references can't be probed.
+api.get("/receipts/:tx_ref", sessions.requireUser, async (req, res, next) => {
+  const format = typeof req.query.format === "string" ? req.query.format : "html";
+  if (format !== "html" && format !== "pdf") {
+    return next(
+      new HttpError(400, "invalid_request", "Invalid receipt format", {
+        errors: { format: "Format must be html or pdf" },
+      })
+    );
+  }
+
+  const payment = await payments.get(req.params.tx_ref);
+  const isOwner = payment && payment.customer && payment.customer.id === req.user.id;
+  if (!payment || (!isOwner && !isAdmin(req.user))) {
+    return next(new HttpError(404, "not_found", "Unknown transaction"));
+  }
+  if (payment.status !== "successful") {
+    return next(
+      new HttpError(404, "no_receipt", `There is no receipt for this payment, it is ${payment.status}`)
+    );
+  }
+
+  // Payments settled before receipts existed get theirs now
+  const receipt = (await receipts.get(payment.tx_ref)) || (await receipts.issue(payment));
+  const { contentType, filename, body } = await receipts.render(receipt, payment, format);
+  res.setHeader("Cache-Control", "private, no-store");
+  if (format === "pdf") {
+    res.attachment(filename);
+  } else {
+    // The receipt page is styled inline so it also works as an email
+    res.setHeader(
+      "Content-Security-Policy",
+      "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'"
+    );
+  }
+  res.type(contentType).send(body);
+});
+
+// Anything else under /api is a JSON 404
+api.use((req, res, next) => {
+  next(new HttpError(404, "not_found", `No API route for ${req.method} ${req.originalUrl}`));
+});
+
+// Every API error, thrown or passed to next(), is logged in full and answered
+// as { error, code, requestId } without internal details
+api.use(apiErrorHandler);
+
+app.use(
+  "/api",
+  cors({
+    origin: (origin, callback) => callback(null, config.corsOrigins.includes(origin)),
+  }),
+  api
+);
+
+// The admin dashboard. Signed-out visitors are sent to the sign-in form.
+app.get("/admin", sessions.middleware, (req, res) => {
+  if (!req.user) {
+    return res.redirect("/#login");
+  }
+  if (!isAdmin(req.user)) {
+    return res.status(403).type("text").send("Admins only");
+  }
+  res.setHeader("Cache-Control", "no-cache");
+  res.sendFile(ADMIN_PAGE);
+});
+
+// Static assets may be cached for an hour but must be revalidated after
+// that; the HTML page itself is always revalidated so new deploys show up.
+app.use(
+  express.static(PUBLIC_DIR, {
+    maxAge: "1h",
+    setHeaders: (res, filePath) => {
+      if (filePath.endsWith(".html")) {
+        res.setHeader("Cache-Control", "no-cache");
+      }
+    },
+  })
+);
+
+// Every other path gets the page, so deep links like /#faq keep working
+app.use((req, res) => {
+  res.status(404).sendFile(path.join(PUBLIC_DIR, "index.html"));
+});
+
+app.use((error, req, res, next) => {
+  console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+  res.status(500).sendFile(path.join(PUBLIC_DIR, "index.html"));
+});
+
+const server = app.listen(config.port, () => {
+  console.log(`Server running on port ${config.port} in ${config.mode} mode 🚀`);
+  receipts.resumeEmails().catch((error) => {
+    console.error("Could not resume receipt emails:", error.message);
+  });
+});
+
+// Graceful shutdown for SIGTERM (deploys, scaling down) and Ctrl+C: stop
+// accepting connections, let requests in flight finish (a /pay can be
+// waiting on a provider, a webhook settling a payment) and exit. Idle
+// keep-alive connections are closed straight away. Anything still running
+// after SHUTDOWN_TIMEOUT_MS is cut off. Receipt emails still being retried
+// stay "pending" and are picked up on the next start.
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, finishing requests in flight before exiting`);
+
+  server.close(() => {
+    console.log("Server stopped");
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+
+  setTimeout(() => {
+    console.error(`Requests still running after ${config.shutdownTimeoutMs}ms, exiting anyway`);
+    server.closeAllConnections();
+    process.exit(1);
+  }, config.shutdownTimeoutMs).unref();
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
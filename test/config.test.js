@@ -0,0 +1,195 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { loadConfig, ConfigError } = require("../lib/config");
+
+const ROOT = path.join(path.sep, "srv", "app");
+
+// Enough for the default provider (Flutterwave) in each mode
+const SANDBOX_ENV = {
+  FLW_SECRET_KEY_SANDBOX: "FLWSECK_TEST-abc",
+  FLW_SECRET_HASH_SANDBOX: "hash",
+};
+const LIVE_ENV = {
+  PAYMENT_MODE: "live",
+  PUBLIC_URL: "https://pay.example.com",
+  FLW_SECRET_KEY_LIVE: "FLWSECK-abc",
+  FLW_SECRET_HASH_LIVE: "hash",
+};
+
+function load(env) {
+  return loadConfig(env, { rootDir: ROOT });
+}
+
+// The problems loadConfig() reports for `env`, or [] when it loads
+function problemsFor(env) {
+  try {
+    load(env);
+    return [];
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    return error.problems;
+  }
+}
+
+test("defaults to sandbox mode with local URLs", () => {
+  const config = load(SANDBOX_ENV);
+
+  assert.equal(config.mode, "sandbox");
+  assert.equal(config.port, 5000);
+  assert.equal(config.publicUrl, "http://localhost:5000");
+  assert.equal(config.payments.callbackUrl, "http://localhost:5000/api/callback");
+  assert.equal(config.dataDir, path.join(ROOT, "data"));
+  assert.deepEqual(config.warnings, []);
+  assert.ok(Object.isFrozen(config.payments.flutterwave));
+});
+
+test("each mode reads the provider keys ending in its own name", () => {
+  const both = { ...SANDBOX_ENV, ...LIVE_ENV, PAYMENT_MODE: undefined };
+
+  assert.equal(load(both).payments.flutterwave.secretKey, "FLWSECK_TEST-abc");
+  assert.equal(load({ ...both, PAYMENT_MODE: "live" }).payments.flutterwave.secretKey, "FLWSECK-abc");
+  assert.equal(load(SANDBOX_ENV).payments.mpesa.baseUrl, "https://sandbox.safaricom.co.ke");
+  assert.equal(load(LIVE_ENV).payments.mpesa.baseUrl, "https://api.safaricom.co.ke");
+});
+
+test("the provider taking payments must have its keys", () => {
+  assert.deepEqual(problemsFor({ FLW_SECRET_HASH_SANDBOX: "hash" }), [
+    "FLW_SECRET_KEY_SANDBOX is required in sandbox mode: flutterwave takes payments (PAYMENT_DEFAULT_PROVIDER)",
+  ]);
+  // Stripe takes no payments here, so its keys may be missing
+  assert.equal(load(SANDBOX_ENV).payments.stripe.secretKey, "");
+});
+
+test("sandbox mode still reads the old unsuffixed names, with a warning", () => {
+  const config = load({ FLW_SECRET_KEY: "FLWSECK_TEST-old", FLW_SECRET_HASH_SANDBOX: "hash" });
+
+  assert.equal(config.payments.flutterwave.secretKey, "FLWSECK_TEST-old");
+  assert.deepEqual(config.warnings, ["FLW_SECRET_KEY is deprecated; rename it to FLW_SECRET_KEY_SANDBOX"]);
+});
+
+test("the old name is ignored when the new one is set, and always in live mode", () => {
+  const sandbox = load({ ...SANDBOX_ENV, FLW_SECRET_KEY: "FLWSECK_TEST-old" });
+  assert.equal(sandbox.payments.flutterwave.secretKey, "FLWSECK_TEST-abc");
+  assert.deepEqual(sandbox.warnings, ["FLW_SECRET_KEY is ignored because FLW_SECRET_KEY_SANDBOX is set; remove it"]);
+
+  const env = { ...LIVE_ENV, FLW_SECRET_KEY_LIVE: undefined, FLW_SECRET_KEY: "FLWSECK-old" };
+  assert.throws(() => load(env), (error) => {
+    assert.deepEqual(error.problems, [
+      "FLW_SECRET_KEY_LIVE is required in live mode: flutterwave takes payments (PAYMENT_DEFAULT_PROVIDER)",
+    ]);
+    assert.deepEqual(error.warnings, ["FLW_SECRET_KEY is ignored in live mode; set FLW_SECRET_KEY_LIVE instead"]);
+    assert.match(error.message, /Warnings:\n  - FLW_SECRET_KEY is ignored in live mode/);
+    return true;
+  });
+});
+
+test("a key for the other mode is refused", () => {
+  assert.deepEqual(problemsFor({ ...SANDBOX_ENV, FLW_SECRET_KEY_SANDBOX: "FLWSECK-live" }), [
+    "FLW_SECRET_KEY_SANDBOX looks like a live key",
+  ]);
+  assert.deepEqual(problemsFor({ ...LIVE_ENV, FLW_SECRET_KEY_LIVE: "FLWSECK_TEST-abc" }), [
+    "FLW_SECRET_KEY_LIVE looks like a test key",
+  ]);
+  assert.deepEqual(problemsFor({ ...SANDBOX_ENV, STRIPE_SECRET_KEY_SANDBOX: "rk_live_abc" }), [
+    "STRIPE_SECRET_KEY_SANDBOX looks like a live key",
+  ]);
+  assert.deepEqual(problemsFor({ ...LIVE_ENV, STRIPE_SECRET_KEY_LIVE: "sk_test_abc" }), [
+    "STRIPE_SECRET_KEY_LIVE looks like a test key",
+  ]);
+});
+
+test("live mode needs a public https URL", () => {
+  assert.deepEqual(problemsFor({ ...LIVE_ENV, PUBLIC_URL: undefined }), [
+    "PUBLIC_URL is required in live mode: providers need a public address to send customers and webhooks back to",
+  ]);
+  assert.deepEqual(problemsFor({ ...LIVE_ENV, PUBLIC_URL: "http://pay.example.com" }), [
+    "PUBLIC_URL must be an https URL",
+  ]);
+  assert.deepEqual(problemsFor({ ...LIVE_ENV, PAYMENT_CALLBACK_URL: "http://pay.example.com/cb" }), [
+    "PAYMENT_CALLBACK_URL must be an https URL",
+  ]);
+  // Plain http is fine while testing
+  assert.equal(load({ ...SANDBOX_ENV, PUBLIC_URL: "http://pay.test/" }).publicUrl, "http://pay.test");
+});
+
+test("live mode needs M-Pesa's callback token when M-Pesa takes payments", () => {
+  const mpesa = {
+    ...LIVE_ENV,
+    PAYMENT_ROUTING: "KES:mpesa",
+    MPESA_CONSUMER_KEY_LIVE: "key",
+    MPESA_CONSUMER_SECRET_LIVE: "secret",
+    MPESA_SHORTCODE_LIVE: "174379",
+    MPESA_PASSKEY_LIVE: "passkey",
+  };
+
+  assert.deepEqual(problemsFor(mpesa), [
+    "MPESA_CALLBACK_TOKEN_LIVE is required in live mode: mpesa takes payments (PAYMENT_ROUTING KES)",
+  ]);
+  assert.equal(load({ ...mpesa, MPESA_CALLBACK_TOKEN_LIVE: "token" }).payments.mpesa.callbackToken, "token");
+});
+
+test("PAYMENT_ROUTING maps currencies to providers", () => {
+  const env = {
+    ...SANDBOX_ENV,
+    PAYMENT_ROUTING: " kes:mpesa, USD : stripe ",
+    MPESA_CONSUMER_KEY_SANDBOX: "key",
+    MPESA_CONSUMER_SECRET_SANDBOX: "secret",
+    MPESA_SHORTCODE_SANDBOX: "174379",
+    MPESA_PASSKEY_SANDBOX: "passkey",
+    STRIPE_SECRET_KEY_SANDBOX: "sk_test_abc",
+    STRIPE_WEBHOOK_SECRET_SANDBOX: "whsec_abc",
+  };
+
+  assert.deepEqual(load(env).payments.routing, { KES: "mpesa", USD: "stripe" });
+});
+
+test("PAYMENT_ROUTING entries that don't parse are reported one by one", () => {
+  const problems = problemsFor({ ...SANDBOX_ENV, PAYMENT_ROUTING: "KES,JPY:stripe,USD:paypal" });
+
+  assert.equal(problems.length, 3);
+  assert.equal(problems[0], 'PAYMENT_ROUTING entry "KES" must look like CURRENCY:provider');
+  assert.match(problems[1], /^PAYMENT_ROUTING currency JPY must be one of /);
+  assert.equal(problems[2], "PAYMENT_ROUTING provider for USD must be one of flutterwave, mpesa, stripe");
+});
+
+test("every problem is reported at once", () => {
+  const problems = problemsFor({ PAYMENT_MODE: "prod", PORT: "http", SMTP_HOST: "smtp.test", SMTP_PORT: "0" });
+
+  assert.deepEqual(problems.slice(0, 3), [
+    "PAYMENT_MODE must be one of sandbox, live",
+    "PORT must be a whole number between 1 and 65535",
+    "SMTP_PORT must be a whole number between 1 and 65535",
+  ]);
+});
+
+test("TRUST_PROXY takes true or false, a hop count, or proxy addresses", () => {
+  const trustProxy = (value) => load({ ...SANDBOX_ENV, TRUST_PROXY: value }).trustProxy;
+
+  assert.equal(trustProxy(""), null);
+  assert.equal(trustProxy("true"), true);
+  assert.equal(trustProxy("FALSE"), false);
+  assert.equal(trustProxy("2"), 2);
+  assert.deepEqual(trustProxy("loopback, 10.0.0.0/8,192.168.1.4, fd00::/8, ::1"), [
+    "loopback",
+    "10.0.0.0/8",
+    "192.168.1.4",
+    "fd00::/8",
+    "::1",
+  ]);
+});
+
+test("TRUST_PROXY entries that aren't addresses are reported", () => {
+  const problems = problemsFor({ ...SANDBOX_ENV, TRUST_PROXY: "yes, 10.0.0.0/33, 10.0.0.1, proxy.internal, ::1/129" });
+
+  assert.deepEqual(
+    problems.map((problem) => problem.match(/^TRUST_PROXY entry "([^"]+)" must be/)[1]),
+    ["yes", "10.0.0.0/33", "proxy.internal", "::1/129"]
+  );
+});
+
+test("DATA_DIR is relative to the project root", () => {
+  assert.equal(load({ ...SANDBOX_ENV, DATA_DIR: "var/data" }).dataDir, path.join(ROOT, "var", "data"));
+  assert.equal(load({ ...SANDBOX_ENV, DATA_DIR: "/tmp/data" }).dataDir, path.resolve("/tmp/data"));
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCsrfProtection, createCsrfToken, TOKEN_HEADER } = require("../lib/csrf");
+const { HttpError } = require("../lib/errors");
+
+const csrfProtection = createCsrfProtection({ allowedOrigins: ["https://shop.example.com"] });
+
+// Runs the middleware on a fake request. Resolves with what it passed to
+// next(): undefined when the request may go on, or the error.
+function check({ method = "POST", headers = {}, session } = {}) {
+  const lowerCased = Object.fromEntries(
+    Object.entries({ Host: "pay.example.com", ...headers }).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const req = { method, session, get: (name) => lowerCased[name.toLowerCase()] };
+
+  let passed;
+  csrfProtection(req, {}, (error) => {
+    passed = error;
+  });
+  return passed;
+}
+
+function assertRefused(error, message) {
+  assert.ok(error instanceof HttpError, "expected the request to be refused");
+  assert.equal(error.status, 403);
+  assert.equal(error.code, "csrf_failed");
+  if (message) assert.match(error.message, message);
+}
+
+test("tokens are long and random", () => {
+  const token = createCsrfToken();
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(token, createCsrfToken());
+});
+
+test("safe methods are never checked", () => {
+  for (const method of ["GET", "HEAD", "OPTIONS"]) {
+    assert.equal(check({ method, headers: { Origin: "https://evil.example" } }), undefined);
+  }
+});
+
+test("same-site and allowed origins pass", () => {
+  assert.equal(check({ headers: { Origin: "https://pay.example.com" } }), undefined);
+  assert.equal(check({ headers: { Origin: "https://shop.example.com" } }), undefined);
+});
+
+test("other sites are refused, going by Origin or else Referer", () => {
+  assertRefused(check({ headers: { Origin: "https://evil.example" } }), /other sites/);
+  assertRefused(check({ headers: { Referer: "https://evil.example/page" } }), /other sites/);
+  assertRefused(check({ headers: { Origin: "null" } }), /other sites/);
+  assert.equal(check({ headers: { Referer: "https://pay.example.com/#checkout" } }), undefined);
+});
+
+test("requests without a session or browser headers pass, like webhooks", () => {
+  assert.equal(check(), undefined);
+});
+
+test("requests with a session need its token", () => {
+  const session = { csrfToken: createCsrfToken() };
+  const origin = { Origin: "https://pay.example.com" };
+
+  assert.equal(check({ session, headers: { ...origin, [TOKEN_HEADER]: session.csrfToken } }), undefined);
+  assertRefused(check({ session, headers: origin }), /out of date/);
+  assertRefused(check({ session, headers: { ...origin, [TOKEN_HEADER]: createCsrfToken() } }), /out of date/);
+  assertRefused(check({ session, headers: { ...origin, [TOKEN_HEADER]: session.csrfToken.slice(1) } }));
+});
+
+test("a session without a token refuses every token", () => {
+  assertRefused(check({ session: {}, headers: { [TOKEN_HEADER]: "anything" } }));
+});
@@ -0,0 +1,198 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const { createIdempotencyMiddleware } = require("../lib/idempotency");
+const { apiErrorHandler } = require("../lib/errors");
+
+// A /pay stand-in behind the middleware that counts how often it really runs.
+// X-User plays the part of the session; ?status= picks the response status
+// and ?delay= holds the response back.
+async function startServer(t, options) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "idempotency-test-"));
+  const app = express();
+  let calls = 0;
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = req.get("X-User") ? { id: req.get("X-User") } : null;
+    next();
+  });
+  app.post("/pay", createIdempotencyMiddleware(path.join(dir, "idempotency.json"), options), async (req, res) => {
+    calls += 1;
+    if (req.query.delay) await new Promise((resolve) => setTimeout(resolve, Number(req.query.delay)));
+    res.status(Number(req.query.status) || 201).json({ call: calls, amount: req.body.amount });
+  });
+  app.use(apiErrorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  async function pay(body, { key, user = "user-1", query = "" } = {}) {
+    const headers = { "Content-Type": "application/json", "X-User": user };
+    if (key !== undefined) headers["Idempotency-Key"] = key;
+    const response = await fetch(`${baseUrl}/pay${query}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return {
+      status: response.status,
+      replayed: response.headers.get("Idempotent-Replayed") === "true",
+      body: await response.json(),
+    };
+  }
+
+  return { pay, calls: () => calls };
+}
+
+// The API error handler logs every 4xx; keep the test output clean
+test.beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+test("requests without a key are never replayed", async (t) => {
+  const server = await startServer(t);
+
+  await server.pay({ amount: 10 });
+  const second = await server.pay({ amount: 10 });
+
+  assert.equal(second.body.call, 2);
+  assert.equal(server.calls(), 2);
+});
+
+test("a retry with the same key and body replays the first response", async (t) => {
+  const server = await startServer(t);
+
+  const first = await server.pay({ amount: 10 }, { key: "key-1" });
+  const retry = await server.pay({ amount: 10 }, { key: "key-1" });
+
+  assert.equal(first.replayed, false);
+  assert.equal(retry.replayed, true);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(server.calls(), 1);
+});
+
+test("reusing a key with a different body is a 422", async (t) => {
+  const server = await startServer(t);
+
+  await server.pay({ amount: 10 }, { key: "key-1" });
+  const reused = await server.pay({ amount: 20 }, { key: "key-1" });
+
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.code, "idempotency_key_reused");
+  assert.equal(server.calls(), 1);
+});
+
+test("a retry while the first request is running is a 409", async (t) => {
+  const server = await startServer(t);
+
+  const [first, concurrent] = await Promise.all([
+    server.pay({ amount: 10 }, { key: "key-1", query: "?delay=200" }),
+    new Promise((resolve) => setTimeout(resolve, 50)).then(() =>
+      server.pay({ amount: 10 }, { key: "key-1", query: "?delay=200" })
+    ),
+  ]);
+
+  assert.equal(first.status, 201);
+  assert.equal(concurrent.status, 409);
+  assert.equal(concurrent.body.code, "request_in_progress");
+  assert.equal(server.calls(), 1);
+});
+
+test("requests arriving in the same tick with one key run the handler once", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "idempotency-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const idempotency = createIdempotencyMiddleware(path.join(dir, "idempotency.json"));
+  let calls = 0;
+
+  // Calls the middleware directly, so nothing (not even parsing the body)
+  // separates the two requests
+  function pay() {
+    const req = {
+      method: "POST",
+      path: "/pay",
+      body: { amount: 10 },
+      user: { id: "user-1" },
+      get: (name) => (name === "Idempotency-Key" ? "key-1" : undefined),
+    };
+    return new Promise((resolve) => {
+      const res = {
+        statusCode: 200,
+        on() {},
+        set() {},
+        status(code) {
+          res.statusCode = code;
+          return res;
+        },
+        json(body) {
+          resolve({ status: res.statusCode, body });
+          return res;
+        },
+      };
+      idempotency(req, res, (error) => {
+        if (error) return resolve({ status: error.status, body: { code: error.code } });
+        calls += 1;
+        res.status(201).json({ call: calls });
+      });
+    });
+  }
+
+  const [first, second] = await Promise.all([pay(), pay()]);
+
+  assert.equal(calls, 1);
+  assert.deepEqual(first, { status: 201, body: { call: 1 } });
+  assert.deepEqual(second, { status: 409, body: { code: "request_in_progress" } });
+});
+
+test("keys are scoped to the user", async (t) => {
+  const server = await startServer(t);
+
+  await server.pay({ amount: 10 }, { key: "key-1", user: "user-1" });
+  const other = await server.pay({ amount: 10 }, { key: "key-1", user: "user-2" });
+
+  assert.equal(other.replayed, false);
+  assert.equal(server.calls(), 2);
+});
+
+test("5xx responses are not stored, so the key can be retried", async (t) => {
+  const server = await startServer(t);
+
+  const failed = await server.pay({ amount: 10 }, { key: "key-1", query: "?status=502" });
+  const retry = await server.pay({ amount: 10 }, { key: "key-1" });
+
+  assert.equal(failed.status, 502);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.replayed, false);
+  assert.equal(server.calls(), 2);
+});
+
+test("expired keys run the request again", async (t) => {
+  const server = await startServer(t, { ttlMs: 1 });
+
+  await server.pay({ amount: 10 }, { key: "key-1" });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const later = await server.pay({ amount: 10 }, { key: "key-1" });
+
+  assert.equal(later.replayed, false);
+  assert.equal(server.calls(), 2);
+});
+
+test("empty and overlong keys are a 400", async (t) => {
+  const server = await startServer(t);
+
+  for (const key of [" ", "k".repeat(256)]) {
+    const response = await server.pay({ amount: 10 }, { key });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "invalid_request");
+  }
+  assert.equal(server.calls(), 0);
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMailer, isPermanentFailure } = require("../lib/mailer");
+
+function smtpError(responseCode) {
+  return Object.assign(new Error(`SMTP ${responseCode || "connection"} error`), { responseCode });
+}
+
+// A nodemailer transport stand-in that fails with `errors` in turn, then
+// accepts the message
+function fakeTransport(errors = []) {
+  const sent = [];
+  return {
+    sent,
+    async sendMail(message) {
+      sent.push(message);
+      const error = errors.shift();
+      if (error) throw error;
+      return { messageId: `<${sent.length}@test>` };
+    },
+  };
+}
+
+// Lets the mailer's backoff waits pass instantly, recording every attempt
+function recordAttempts(t) {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const attempts = [];
+  function onAttempt({ attempt, error, retryInMs }) {
+    attempts.push({ attempt, error: error.message, retryInMs });
+    if (retryInMs !== null) setImmediate(() => t.mock.timers.tick(retryInMs));
+  }
+  return { attempts, onAttempt };
+}
+
+test("only 5xx SMTP answers are permanent failures", () => {
+  assert.equal(isPermanentFailure(smtpError(550)), true);
+  assert.equal(isPermanentFailure(smtpError(535)), true);
+  assert.equal(isPermanentFailure(smtpError(421)), false);
+  assert.equal(isPermanentFailure(smtpError(undefined)), false);
+});
+
+test("messages go out from the configured sender", async () => {
+  const transport = fakeTransport();
+  const mailer = createMailer({ from: "receipts@example.com", transport });
+
+  const info = await mailer.send({ to: "ann@example.com", subject: "Hi" });
+
+  assert.equal(info.messageId, "<1@test>");
+  assert.deepEqual(transport.sent, [{ from: "receipts@example.com", to: "ann@example.com", subject: "Hi" }]);
+});
+
+test("temporary failures are retried with exponential backoff", async (t) => {
+  const transport = fakeTransport([smtpError(421), smtpError(undefined), smtpError(451)]);
+  const mailer = createMailer({ transport, retryDelayMs: 1000 });
+  const { attempts, onAttempt } = recordAttempts(t);
+
+  await mailer.send({ to: "ann@example.com" }, { onAttempt });
+
+  assert.equal(transport.sent.length, 4);
+  assert.deepEqual(
+    attempts.map(({ attempt, retryInMs }) => [attempt, retryInMs]),
+    [
+      [1, 1000],
+      [2, 2000],
+      [3, 4000],
+    ]
+  );
+});
+
+test("the wait between attempts is capped at five minutes", async (t) => {
+  const transport = fakeTransport([smtpError(421), smtpError(421), smtpError(421)]);
+  const mailer = createMailer({ transport, retryDelayMs: 2 * 60 * 1000 });
+  const { attempts, onAttempt } = recordAttempts(t);
+
+  await mailer.send({ to: "ann@example.com" }, { onAttempt });
+
+  assert.deepEqual(
+    attempts.map(({ retryInMs }) => retryInMs),
+    [2 * 60 * 1000, 4 * 60 * 1000, 5 * 60 * 1000]
+  );
+});
+
+test("sending gives up after maxAttempts", async (t) => {
+  const transport = fakeTransport([smtpError(421), smtpError(421), smtpError(421)]);
+  const mailer = createMailer({ transport, maxAttempts: 3, retryDelayMs: 10 });
+  const { attempts, onAttempt } = recordAttempts(t);
+
+  await assert.rejects(mailer.send({ to: "ann@example.com" }, { onAttempt }), {
+    message: "SMTP 421 error",
+  });
+
+  assert.equal(transport.sent.length, 3);
+  assert.deepEqual(
+    attempts.map(({ retryInMs }) => retryInMs),
+    [10, 20, null]
+  );
+});
+
+test("a permanent failure is not retried", async (t) => {
+  const transport = fakeTransport([smtpError(550)]);
+  const mailer = createMailer({ transport });
+  const { attempts, onAttempt } = recordAttempts(t);
+
+  await assert.rejects(mailer.send({ to: "nobody@example.com" }, { onAttempt }), {
+    responseCode: 550,
+  });
+
+  assert.equal(transport.sent.length, 1);
+  assert.deepEqual(attempts, [{ attempt: 1, error: "SMTP 550 error", retryInMs: null }]);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { createPaymentLedger, createTxRef } = require("../lib/payments");
+
+async function createTestLedger(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "payments-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return createPaymentLedger(path.join(dir, "payments.json"));
+}
+
+function startPayment(ledger, txRef = createTxRef()) {
+  return ledger.create({
+    txRef,
+    provider: "flutterwave",
+    amount: 100,
+    currency: "KES",
+    customer: { name: "Ann Lee", email: "ann@example.com" },
+  });
+}
+
+test("tx_refs are unique", () => {
+  assert.notEqual(createTxRef(), createTxRef());
+  assert.match(createTxRef(), /^vp-[0-9a-f-]{36}$/);
+});
+
+test("new payments start pending and are persisted", async (t) => {
+  const ledger = await createTestLedger(t);
+  const payment = await startPayment(ledger, "vp-1");
+
+  assert.equal(payment.status, "pending");
+  assert.deepEqual(payment.history.map((entry) => entry.status), ["pending"]);
+  assert.deepEqual(await ledger.get("vp-1"), payment);
+});
+
+test("a tx_ref can't be reused", async (t) => {
+  const ledger = await createTestLedger(t);
+  await startPayment(ledger, "vp-1");
+
+  await assert.rejects(startPayment(ledger, "vp-1"), /Duplicate tx_ref/);
+});
+
+test("a pending payment moves to a final status with its details", async (t) => {
+  const ledger = await createTestLedger(t);
+  await startPayment(ledger, "vp-1");
+
+  const payment = await ledger.transition("vp-1", "successful", { transaction_id: 42 });
+
+  assert.equal(payment.status, "successful");
+  assert.equal(payment.transaction_id, 42);
+  assert.deepEqual(payment.history.map((entry) => entry.status), ["pending", "successful"]);
+});
+
+test("pending updates merge details without adding history", async (t) => {
+  const ledger = await createTestLedger(t);
+  await startPayment(ledger, "vp-1");
+
+  const payment = await ledger.transition("vp-1", "pending", { providerReference: "ref-1" });
+
+  assert.equal(payment.providerReference, "ref-1");
+  assert.equal(payment.history.length, 1);
+  assert.deepEqual(await ledger.findByProviderReference("flutterwave", "ref-1"), payment);
+});
+
+for (const finalStatus of ["successful", "failed", "cancelled"]) {
+  test(`a ${finalStatus} payment can't change any more`, async (t) => {
+    const ledger = await createTestLedger(t);
+    await startPayment(ledger, "vp-1");
+    await ledger.transition("vp-1", finalStatus);
+
+    for (const status of ["pending", "successful", "failed", "cancelled"]) {
+      const payment = await ledger.transition("vp-1", status, { reason: "late webhook" });
+      assert.equal(payment.status, finalStatus);
+      assert.equal(payment.reason, undefined);
+    }
+    const stored = await ledger.get("vp-1");
+    assert.equal(stored.status, finalStatus);
+    assert.equal(stored.history.length, 2);
+  });
+}
+
+test("concurrent transitions settle a payment exactly once", async (t) => {
+  const ledger = await createTestLedger(t);
+  await startPayment(ledger, "vp-1");
+
+  await Promise.all([
+    ledger.transition("vp-1", "successful"),
+    ledger.transition("vp-1", "failed"),
+  ]);
+
+  const payment = await ledger.get("vp-1");
+  assert.equal(payment.status, "successful");
+  assert.deepEqual(payment.history.map((entry) => entry.status), ["pending", "successful"]);
+});
+
+test("unknown statuses and payments are refused", async (t) => {
+  const ledger = await createTestLedger(t);
+  await startPayment(ledger, "vp-1");
+
+  assert.throws(() => ledger.transition("vp-1", "refunded"), /Unknown payment status/);
+  assert.equal(await ledger.transition("vp-missing", "successful"), null);
+});
@@ -0,0 +1,311 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+const { createPaymentProviders, PaymentProviderError } = require("../lib/providers");
+const { fromHttpError } = require("../lib/providers/errors");
+const { createStripeProvider } = require("../lib/providers/stripe");
+const { createMpesaProvider } = require("../lib/providers/mpesa");
+const { createFlutterwaveProvider } = require("../lib/providers/flutterwave");
+
+const WEBHOOK_SECRET = "whsec_test";
+
+// Just enough of an Express request for the adapters' parseWebhook
+function fakeRequest({ headers = {}, query = {}, body = {}, rawBody } = {}) {
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    get: (name) => lowerCased[name.toLowerCase()],
+    query,
+    body,
+    rawBody: rawBody === undefined ? JSON.stringify(body) : rawBody,
+  };
+}
+
+function stripeSignature(rawBody, { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function stripeEvent(type = "checkout.session.completed") {
+  return { type, data: { object: { id: "cs_test_1", client_reference_id: "vp-1" } } };
+}
+
+// A stand-in for a provider's API: `reply({ method, url })` returns the
+// { status, body } to answer each request with
+async function startApi(t, reply) {
+  const server = http.createServer((req, res) => {
+    const { status, body } = reply({ method: req.method, url: req.url });
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// The Daraja API: hands out a token and answers STK queries with `reply()`
+function startDaraja(t, reply) {
+  return startApi(t, ({ url }) =>
+    url.startsWith("/oauth/v1/generate")
+      ? { status: 200, body: { access_token: "token", expires_in: "3599" } }
+      : reply()
+  );
+}
+
+function createMpesa(overrides = {}) {
+  return createMpesaProvider({
+    baseUrl: "http://127.0.0.1:9",
+    consumerKey: "key",
+    consumerSecret: "secret",
+    shortcode: "174379",
+    passkey: "passkey",
+    callbackUrl: "https://example.com/api/webhooks/mpesa",
+    callbackToken: "callback-token",
+    ...overrides,
+  });
+}
+
+test("stripe accepts a webhook signed with the webhook secret", () => {
+  const stripe = createStripeProvider({ webhookSecret: WEBHOOK_SECRET });
+  const body = stripeEvent();
+  const rawBody = JSON.stringify(body);
+
+  const parsed = stripe.parseWebhook(
+    fakeRequest({ headers: { "Stripe-Signature": stripeSignature(rawBody) }, body, rawBody })
+  );
+
+  assert.deepEqual(parsed, { txRef: "vp-1", providerReference: "cs_test_1" });
+});
+
+test("stripe ignores signed events that are not about checkout sessions", () => {
+  const stripe = createStripeProvider({ webhookSecret: WEBHOOK_SECRET });
+  const body = stripeEvent("charge.refunded");
+  const rawBody = JSON.stringify(body);
+
+  const parsed = stripe.parseWebhook(
+    fakeRequest({ headers: { "Stripe-Signature": stripeSignature(rawBody) }, body, rawBody })
+  );
+
+  assert.equal(parsed, null);
+});
+
+test("stripe rejects a webhook whose body was changed after signing", () => {
+  const stripe = createStripeProvider({ webhookSecret: WEBHOOK_SECRET });
+  const signature = stripeSignature(JSON.stringify(stripeEvent()));
+  const tampered = { ...stripeEvent(), data: { object: { id: "cs_test_1", client_reference_id: "vp-2" } } };
+
+  assert.throws(
+    () => stripe.parseWebhook(fakeRequest({ headers: { "Stripe-Signature": signature }, body: tampered })),
+    { name: "PaymentProviderError", code: "invalid_signature", status: 401 }
+  );
+});
+
+test("stripe rejects a webhook signed with another secret or not signed at all", () => {
+  const stripe = createStripeProvider({ webhookSecret: WEBHOOK_SECRET });
+  const body = stripeEvent();
+  const rawBody = JSON.stringify(body);
+
+  for (const headers of [
+    { "Stripe-Signature": stripeSignature(rawBody, { secret: "whsec_other" }) },
+    {},
+  ]) {
+    assert.throws(() => stripe.parseWebhook(fakeRequest({ headers, body, rawBody })), {
+      code: "invalid_signature",
+    });
+  }
+});
+
+test("stripe rejects a correctly signed webhook that is too old", () => {
+  const stripe = createStripeProvider({ webhookSecret: WEBHOOK_SECRET });
+  const body = stripeEvent();
+  const rawBody = JSON.stringify(body);
+  const timestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+
+  assert.throws(
+    () =>
+      stripe.parseWebhook(
+        fakeRequest({ headers: { "Stripe-Signature": stripeSignature(rawBody, { timestamp }) }, body, rawBody })
+      ),
+    { code: "invalid_signature", status: 401 }
+  );
+});
+
+test("stripe rejects every webhook when no webhook secret is configured", () => {
+  const stripe = createStripeProvider({});
+  const body = stripeEvent();
+  const rawBody = JSON.stringify(body);
+
+  assert.throws(
+    () => stripe.parseWebhook(fakeRequest({ headers: { "Stripe-Signature": stripeSignature(rawBody) }, body, rawBody })),
+    { code: "invalid_signature" }
+  );
+});
+
+test("flutterwave takes a cancelled return at its word only when it has no transaction", async (t) => {
+  let transaction = null;
+  const baseUrl = await startApi(t, () =>
+    transaction
+      ? { status: 200, body: { status: "success", data: transaction } }
+      : { status: 404, body: { status: "error", message: "No transaction was found", data: null } }
+  );
+  const flutterwave = createFlutterwaveProvider({ baseUrl, secretKey: "FLWSECK_TEST-abc" });
+  const payment = { tx_ref: "vp-1" };
+
+  assert.deepEqual(await flutterwave.verify(payment, { status: "cancelled" }), { status: "cancelled" });
+  // Without the customer's word, no transaction yet just means not paid yet
+  await assert.rejects(flutterwave.verify(payment), { code: "payment_rejected" });
+
+  transaction = { id: 7, tx_ref: "vp-1", status: "successful", amount: 100, currency: "KES" };
+  assert.equal((await flutterwave.verify(payment, { status: "cancelled" })).status, "successful");
+});
+
+test("stripe cancels a payment once its checkout session expired unpaid", async (t) => {
+  const requests = [];
+  let session = { id: "cs_test_1", status: "open", payment_status: "unpaid", amount_total: 1000, currency: "usd" };
+  const baseUrl = await startApi(t, ({ method, url }) => {
+    requests.push(`${method} ${url}`);
+    if (method === "POST") session = { ...session, status: "expired" };
+    return { status: 200, body: session };
+  });
+  const stripe = createStripeProvider({ baseUrl, secretKey: "sk_test_abc" });
+  const payment = { providerReference: "cs_test_1" };
+
+  assert.equal((await stripe.verify(payment)).status, "pending");
+  assert.equal((await stripe.verify(payment, { status: "cancelled" })).status, "cancelled");
+  assert.deepEqual(requests, [
+    "GET /v1/checkout/sessions/cs_test_1",
+    "GET /v1/checkout/sessions/cs_test_1",
+    "POST /v1/checkout/sessions/cs_test_1/expire",
+  ]);
+});
+
+test("stripe keeps a paid session successful even after a cancelled return", async (t) => {
+  const session = { id: "cs_test_1", status: "complete", payment_status: "paid", amount_total: 1000, currency: "usd" };
+  const baseUrl = await startApi(t, () => ({ status: 200, body: session }));
+  const stripe = createStripeProvider({ baseUrl, secretKey: "sk_test_abc" });
+
+  const outcome = await stripe.verify({ providerReference: "cs_test_1" }, { status: "cancelled" });
+
+  assert.equal(outcome.status, "successful");
+  assert.equal(outcome.amount, 10);
+  assert.equal(outcome.currency, "USD");
+});
+
+test("mpesa accepts a callback carrying the callback token", () => {
+  const mpesa = createMpesa();
+  const body = { Body: { stkCallback: { CheckoutRequestID: "ws_CO_1", ResultCode: 0 } } };
+
+  const parsed = mpesa.parseWebhook(fakeRequest({ query: { token: "callback-token" }, body }));
+
+  assert.deepEqual(parsed, { providerReference: "ws_CO_1" });
+});
+
+test("mpesa rejects a callback with a wrong or missing token", () => {
+  const mpesa = createMpesa();
+  const body = { Body: { stkCallback: { CheckoutRequestID: "ws_CO_1", ResultCode: 0 } } };
+
+  for (const query of [{ token: "wrong-token" }, { token: "callback-tokenx" }, {}]) {
+    assert.throws(() => mpesa.parseWebhook(fakeRequest({ query, body })), {
+      name: "PaymentProviderError",
+      code: "invalid_signature",
+      status: 401,
+    });
+  }
+});
+
+test("mpesa rejects every callback when no callback token is configured", () => {
+  const mpesa = createMpesa({ callbackToken: "" });
+
+  assert.throws(() => mpesa.parseWebhook(fakeRequest({ query: { token: "" } })), {
+    code: "invalid_signature",
+  });
+});
+
+test("mpesa verify takes the outcome from the STK query, not the callback", async (t) => {
+  let result = { status: 200, body: { ResultCode: "1032" } };
+  const mpesa = createMpesa({ baseUrl: await startDaraja(t, () => result) });
+  const payment = { providerReference: "ws_CO_1" };
+
+  assert.deepEqual(await mpesa.verify(payment), { status: "cancelled" });
+
+  result = { status: 200, body: { ResultCode: "0" } };
+  assert.deepEqual(await mpesa.verify(payment), { status: "successful", paymentType: "mpesa" });
+
+  result = { status: 200, body: { ResultCode: "1" } };
+  assert.deepEqual(await mpesa.verify(payment), { status: "failed" });
+
+  result = { status: 500, body: { errorCode: "500.001.1001", errorMessage: "The transaction is being processed" } };
+  assert.deepEqual(await mpesa.verify(payment), { status: "pending" });
+});
+
+test("select prefers the requested provider, then the currency route, then the default", () => {
+  const adapters = ["flutterwave", "mpesa", "stripe"].map((name) => ({ name }));
+  const providers = createPaymentProviders({
+    adapters,
+    defaultProvider: "flutterwave",
+    routing: { KES: "mpesa", USD: "stripe" },
+  });
+
+  assert.equal(providers.select({ provider: "stripe", currency: "KES" }).name, "stripe");
+  assert.equal(providers.select({ currency: "KES" }).name, "mpesa");
+  assert.equal(providers.select({ currency: "USD" }).name, "stripe");
+  assert.equal(providers.select({ currency: "NGN" }).name, "flutterwave");
+});
+
+test("select rejects a provider that has no adapter", () => {
+  const providers = createPaymentProviders({
+    adapters: [{ name: "flutterwave" }],
+    defaultProvider: "flutterwave",
+  });
+
+  assert.throws(() => providers.select({ provider: "paypal", currency: "NGN" }), {
+    name: "PaymentProviderError",
+    code: "unknown_provider",
+    status: 400,
+  });
+});
+
+test("fromHttpError reports a 4xx answer as a rejected payment with the provider's message", () => {
+  const cause = { response: { status: 400, data: { message: "Invalid amount" } } };
+
+  const error = fromHttpError("flutterwave", cause, (body) => body.message);
+
+  assert.ok(error instanceof PaymentProviderError);
+  assert.equal(error.code, "payment_rejected");
+  assert.equal(error.status, 422);
+  assert.equal(error.message, "Invalid amount");
+  assert.equal(error.cause, cause);
+  assert.equal(
+    fromHttpError("flutterwave", { response: { status: 400, data: {} } }).message,
+    "flutterwave rejected the payment"
+  );
+});
+
+test("fromHttpError reports 5xx answers and bad credentials as the provider being unavailable", () => {
+  for (const status of [500, 503, 401, 403]) {
+    const error = fromHttpError("stripe", { response: { status, data: {} } });
+
+    assert.equal(error.code, "provider_unavailable");
+    assert.equal(error.status, 502);
+  }
+});
+
+test("fromHttpError reports a network failure as the provider being unreachable", () => {
+  const cause = Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" });
+
+  const error = fromHttpError("mpesa", cause);
+
+  assert.equal(error.code, "provider_unavailable");
+  assert.equal(error.status, 502);
+  assert.equal(error.message, "Could not reach mpesa");
+  assert.equal(error.cause, cause);
+});
+
+test("fromHttpError passes a PaymentProviderError through unchanged", () => {
+  const original = new PaymentProviderError("stripe", "invalid_request", "Bad", { status: 400 });
+
+  assert.equal(fromHttpError("stripe", original), original);
+});
@@ -0,0 +1,188 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { createReceiptService, toReceiptDetails } = require("../lib/receipts");
+const { createMailer } = require("../lib/mailer");
+
+function successfulPayment(txRef = "vp-1") {
+  return {
+    tx_ref: txRef,
+    provider: "flutterwave",
+    amount: 1500,
+    currency: "KES",
+    status: "successful",
+    payment_type: "card",
+    customer: { name: "Ann Lee", email: "ann@example.com" },
+    history: [
+      { status: "pending", at: "2026-01-01T10:00:00.000Z" },
+      { status: "successful", at: "2026-01-01T10:05:00.000Z" },
+    ],
+    updatedAt: "2026-01-01T10:05:00.000Z",
+  };
+}
+
+// A nodemailer transport stand-in that fails with `errors` in turn, then
+// accepts the message
+function fakeTransport(errors = []) {
+  const sent = [];
+  return {
+    sent,
+    async sendMail(message) {
+      sent.push(message);
+      const error = errors.shift();
+      if (error) throw error;
+      return { messageId: `<${sent.length}@test>` };
+    },
+  };
+}
+
+// Retries straight away so the tests don't wait on the backoff
+function mailerFor(transport) {
+  return createMailer({ transport, retryDelayMs: 0, maxAttempts: 3 });
+}
+
+// `create(mailer)` opens another service on the same file, like a restart
+async function createTestReceipts(t, mailer) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "receipts-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "receipts.json");
+  const payments = new Map();
+  const create = (withMailer) =>
+    createReceiptService(filePath, {
+      mailer: withMailer,
+      loadPayment: async (txRef) => payments.get(txRef) || null,
+      receiptUrl: (txRef) => `https://pay.example.com/api/receipts/${txRef}`,
+    });
+  return { receipts: create(mailer), create, payments };
+}
+
+// Emails go out in the background; wait until the receipt records an outcome
+async function emailOutcome(receipts, txRef) {
+  for (let i = 0; i < 200; i += 1) {
+    const receipt = await receipts.get(txRef);
+    if (receipt.email.status !== "pending") return receipt.email;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`The receipt email for ${txRef} never finished`);
+}
+
+// Failed sends are logged; keep the test output clean
+test.beforeEach((t) => t.mock.method(console, "error", () => {}));
+
+test("receipts are numbered in order", async (t) => {
+  const { receipts } = await createTestReceipts(t, null);
+
+  const first = await receipts.issue(successfulPayment("vp-1"));
+  const second = await receipts.issue(successfulPayment("vp-2"));
+
+  assert.equal(first.number, "VP-000001");
+  assert.equal(second.number, "VP-000002");
+  assert.deepEqual(await receipts.get("vp-2"), second);
+  assert.equal(await receipts.get("vp-3"), null);
+});
+
+test("issuing a receipt twice returns the first one and emails it once", async (t) => {
+  const transport = fakeTransport();
+  const { receipts } = await createTestReceipts(t, mailerFor(transport));
+  const payment = successfulPayment();
+
+  const first = await receipts.issue(payment);
+  const again = await receipts.issue(payment);
+  await emailOutcome(receipts, payment.tx_ref);
+
+  assert.equal(again.number, first.number);
+  assert.equal((await receipts.issue(successfulPayment("vp-2"))).number, "VP-000002");
+  await emailOutcome(receipts, "vp-2");
+  assert.deepEqual(
+    transport.sent.map((message) => message.subject),
+    ["Your receipt VP-000001 for KES 1,500.00", "Your receipt VP-000002 for KES 1,500.00"]
+  );
+});
+
+test("only successful payments get a receipt", async (t) => {
+  const { receipts } = await createTestReceipts(t, null);
+
+  await assert.rejects(receipts.issue({ ...successfulPayment(), status: "pending" }), /is pending, not successful/);
+  assert.equal(await receipts.get("vp-1"), null);
+});
+
+test("without a mailer the email is marked disabled", async (t) => {
+  const { receipts } = await createTestReceipts(t, null);
+
+  const receipt = await receipts.issue(successfulPayment());
+
+  assert.equal(receipt.email.status, "disabled");
+});
+
+test("the emailed receipt has the PDF attached and a download link", async (t) => {
+  const transport = fakeTransport();
+  const { receipts } = await createTestReceipts(t, mailerFor(transport));
+
+  const receipt = await receipts.issue(successfulPayment());
+  assert.equal(receipt.email.status, "pending");
+  const email = await emailOutcome(receipts, "vp-1");
+
+  assert.equal(email.status, "sent");
+  assert.equal(email.attempts, 1);
+  assert.ok(email.sentAt);
+  const [message] = transport.sent;
+  assert.deepEqual(message.to, { name: "Ann Lee", address: "ann@example.com" });
+  assert.match(message.text, /https:\/\/pay\.example\.com\/api\/receipts\/vp-1/);
+  assert.equal(message.attachments[0].filename, "receipt-VP-000001.pdf");
+  assert.equal(message.attachments[0].content.subarray(0, 5).toString(), "%PDF-");
+});
+
+test("the email status counts the attempts a retried send took", async (t) => {
+  const transport = fakeTransport([Object.assign(new Error("Try again later"), { responseCode: 421 })]);
+  const { receipts } = await createTestReceipts(t, mailerFor(transport));
+
+  await receipts.issue(successfulPayment());
+  const email = await emailOutcome(receipts, "vp-1");
+
+  assert.equal(email.status, "sent");
+  assert.equal(email.attempts, 2);
+  assert.equal(email.lastError, null);
+});
+
+test("the email is marked failed once the mailer gives up", async (t) => {
+  const transport = fakeTransport([Object.assign(new Error("Mailbox unavailable"), { responseCode: 550 })]);
+  const { receipts } = await createTestReceipts(t, mailerFor(transport));
+
+  await receipts.issue(successfulPayment());
+  const email = await emailOutcome(receipts, "vp-1");
+
+  assert.deepEqual(
+    { status: email.status, attempts: email.attempts, lastError: email.lastError, sentAt: email.sentAt },
+    { status: "failed", attempts: 1, lastError: "Mailbox unavailable", sentAt: null }
+  );
+});
+
+test("emails still pending from an earlier run are sent on resume", async (t) => {
+  // A mailer that never finishes stands in for a server stopped mid-send
+  const stuck = { send: () => new Promise(() => {}) };
+  const { receipts, create, payments } = await createTestReceipts(t, stuck);
+  const payment = successfulPayment();
+  payments.set(payment.tx_ref, payment);
+  await receipts.issue(payment);
+
+  const transport = fakeTransport();
+  const restarted = create(mailerFor(transport));
+  await restarted.resumeEmails();
+
+  assert.equal((await emailOutcome(restarted, "vp-1")).status, "sent");
+  assert.equal(transport.sent.length, 1);
+});
+
+test("receipt details show the provider, method and payment time", () => {
+  const details = toReceiptDetails(
+    { number: "VP-000007", issuedAt: "2026-01-02T08:00:00.000Z" },
+    successfulPayment()
+  );
+
+  assert.equal(details.amount, "KES 1,500.00");
+  assert.equal(details.paymentMethod, "Flutterwave (card)");
+  assert.equal(details.paidAt, "1 Jan 2026, 10:05 UTC");
+});
@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { createSessionManager } = require("../lib/sessions");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const USER = { id: "user-1", name: "Ann Lee", email: "ann@example.com" };
+
+async function createTestSessions(t, options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sessions-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "sessions.json");
+  const sessions = createSessionManager(filePath, {
+    loadUser: async (id) => (id === USER.id ? USER : null),
+    ...options,
+  });
+  return { sessions, filePath };
+}
+
+// Pins Date.now() so expiry can be tested without waiting; returns a setter
+function freezeTime(t, start = Date.parse("2026-01-01T00:00:00Z")) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return (ms) => {
+    now = start + ms;
+  };
+}
+
+function fakeRequest(cookieId) {
+  const headers = cookieId ? { cookie: `other=1; vp_session=${encodeURIComponent(cookieId)}` } : {};
+  return { get: (name) => headers[name.toLowerCase()] };
+}
+
+// Records the cookies set and cleared the way Express's res.cookie would
+function fakeResponse() {
+  const res = { cookies: {}, cleared: [] };
+  res.cookie = (name, value, options) => {
+    res.cookies[name] = { value, options };
+  };
+  res.clearCookie = (name) => {
+    res.cleared.push(name);
+  };
+  return res;
+}
+
+async function signIn(sessions, req = fakeRequest()) {
+  const res = fakeResponse();
+  const session = await sessions.create(req, res, USER);
+  return { id: res.cookies.vp_session.value, session, res };
+}
+
+function runMiddleware(sessions, req, res = fakeResponse()) {
+  return new Promise((resolve, reject) => {
+    sessions.middleware(req, res, (error) => (error ? reject(error) : resolve(res)));
+  });
+}
+
+test("signing in sets an HTTP-only cookie and stores only a hash of its id", async (t) => {
+  const { sessions, filePath } = await createTestSessions(t, { secure: true });
+  const { id, session, res } = await signIn(sessions);
+
+  assert.equal(session.userId, USER.id);
+  assert.ok(session.csrfToken);
+  const { httpOnly, sameSite, secure } = res.cookies.vp_session.options;
+  assert.deepEqual({ httpOnly, sameSite, secure }, { httpOnly: true, sameSite: "lax", secure: true });
+  const stored = await fs.readFile(filePath, "utf8");
+  assert.ok(!stored.includes(id));
+  assert.equal(Object.keys(JSON.parse(stored).sessions).length, 1);
+});
+
+test("a request with the session cookie is signed in", async (t) => {
+  const { sessions } = await createTestSessions(t);
+  const { id, session } = await signIn(sessions);
+  const req = fakeRequest(id);
+
+  await runMiddleware(sessions, req);
+
+  assert.deepEqual(req.user, USER);
+  assert.equal(req.session.csrfToken, session.csrfToken);
+});
+
+test("requests without a cookie, or with an unknown one, are signed out", async (t) => {
+  const { sessions } = await createTestSessions(t);
+
+  const anonymous = fakeRequest();
+  await runMiddleware(sessions, anonymous);
+  assert.equal(anonymous.user, null);
+
+  const forged = fakeRequest("not-a-session");
+  const res = await runMiddleware(sessions, forged);
+  assert.equal(forged.user, null);
+  assert.deepEqual(res.cleared, ["vp_session"]);
+});
+
+test("signing out ends the session and clears the cookie", async (t) => {
+  const { sessions } = await createTestSessions(t);
+  const { id } = await signIn(sessions);
+
+  const res = fakeResponse();
+  await sessions.destroy(fakeRequest(id), res);
+  assert.deepEqual(res.cleared, ["vp_session"]);
+
+  const later = fakeRequest(id);
+  await runMiddleware(sessions, later);
+  assert.equal(later.user, null);
+});
+
+test("signing in gives a new session id and ends the one the request came with", async (t) => {
+  const { sessions } = await createTestSessions(t);
+  const first = await signIn(sessions);
+  const second = await signIn(sessions, fakeRequest(first.id));
+
+  assert.notEqual(second.id, first.id);
+
+  const old = fakeRequest(first.id);
+  await runMiddleware(sessions, old);
+  assert.equal(old.user, null);
+
+  const current = fakeRequest(second.id);
+  await runMiddleware(sessions, current);
+  assert.deepEqual(current.user, USER);
+});
+
+test("sessions expire after the ttl without requests", async (t) => {
+  const setTime = freezeTime(t);
+  const { sessions } = await createTestSessions(t, { ttlMs: DAY });
+  const { id } = await signIn(sessions);
+
+  setTime(DAY);
+  const req = fakeRequest(id);
+  const res = await runMiddleware(sessions, req);
+
+  assert.equal(req.user, null);
+  assert.deepEqual(res.cleared, ["vp_session"]);
+});
+
+test("a request in the second half of the ttl pushes the expiry out", async (t) => {
+  const setTime = freezeTime(t);
+  const { sessions } = await createTestSessions(t, { ttlMs: DAY });
+  const { id, session } = await signIn(sessions);
+
+  // Early requests leave the session alone
+  setTime(HOUR);
+  let res = await runMiddleware(sessions, fakeRequest(id));
+  assert.equal(res.cookies.vp_session, undefined);
+
+  setTime(18 * HOUR);
+  res = await runMiddleware(sessions, fakeRequest(id));
+  assert.equal(res.cookies.vp_session.value, id);
+  assert.equal(res.cookies.vp_session.options.expires.getTime(), Date.now() + DAY);
+
+  // Past the original expiry, the refreshed session still works
+  setTime(30 * HOUR);
+  const req = fakeRequest(id);
+  await runMiddleware(sessions, req);
+  assert.deepEqual(req.user, USER);
+  assert.notEqual(req.session.expiresAt, session.expiresAt);
+});
+
+test("sliding never keeps a session alive past the maximum age", async (t) => {
+  const setTime = freezeTime(t);
+  const { sessions } = await createTestSessions(t, { ttlMs: DAY, maxAgeMs: 30 * DAY });
+  const { id, session } = await signIn(sessions);
+  const cap = Date.parse(session.createdAt) + 30 * DAY;
+
+  for (let hours = 18; hours < 30 * 24; hours += 18) {
+    setTime(hours * HOUR);
+    const req = fakeRequest(id);
+    await runMiddleware(sessions, req);
+    assert.deepEqual(req.user, USER);
+    assert.ok(Date.parse(req.session.expiresAt) <= cap);
+  }
+
+  setTime(30 * DAY);
+  const req = fakeRequest(id);
+  await runMiddleware(sessions, req);
+  assert.equal(req.user, null);
+});
+
+test("requireUser lets signed-in requests through and answers 401 otherwise", async (t) => {
+  const { sessions } = await createTestSessions(t);
+  const errors = [];
+
+  sessions.requireUser({ user: USER }, fakeResponse(), (error) => errors.push(error));
+  sessions.requireUser({ user: null }, fakeResponse(), (error) => errors.push(error));
+
+  assert.equal(errors[0], undefined);
+  assert.equal(errors[1].status, 401);
+  assert.equal(errors[1].code, "unauthenticated");
+});
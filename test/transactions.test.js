@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseTransactionQuery,
+  queryTransactions,
+  toCsv,
+} = require("../lib/transactions");
+
+function payment(txRef, { status = "successful", amount = 100, email = "ann@example.com", createdAt }) {
+  return {
+    tx_ref: txRef,
+    provider: "flutterwave",
+    amount,
+    currency: "KES",
+    customer: { name: "Ann Lee", email },
+    status,
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+const LEDGER = [
+  payment("vp-1", { createdAt: "2025-01-01T08:00:00.000Z", amount: 300 }),
+  payment("vp-2", { createdAt: "2025-01-02T23:59:59.000Z", status: "failed", email: "BOB@example.com" }),
+  payment("vp-3", { createdAt: "2025-01-03T00:00:00.000Z", status: "pending", amount: 50 }),
+  payment("vp-4", { createdAt: "2025-01-04T12:00:00.000Z", amount: 200, email: "bob@test.org" }),
+];
+
+function query(params, options) {
+  const { isValid, errors, values } = parseTransactionQuery(params);
+  assert.equal(isValid, true, JSON.stringify(errors));
+  return queryTransactions(LEDGER, values, options);
+}
+
+const refs = (result) => result.items.map((tx) => tx.tx_ref);
+
+test("defaults to the newest first, 20 to a page", () => {
+  const result = query({});
+
+  assert.deepEqual(refs(result), ["vp-4", "vp-3", "vp-2", "vp-1"]);
+  assert.deepEqual(
+    { total: result.total, page: result.page, pageSize: result.pageSize, pages: result.pages },
+    { total: 4, page: 1, pageSize: 20, pages: 1 }
+  );
+});
+
+test("filters by status, with all meaning no filter", () => {
+  assert.deepEqual(refs(query({ status: "failed" })), ["vp-2"]);
+  assert.equal(query({ status: "all" }).total, 4);
+});
+
+test("matches any part of the email, ignoring case", () => {
+  assert.deepEqual(refs(query({ email: "Bob" })), ["vp-4", "vp-2"]);
+});
+
+test("date ranges include the whole of both days", () => {
+  assert.deepEqual(refs(query({ from: "2025-01-02", to: "2025-01-03" })), ["vp-3", "vp-2"]);
+});
+
+test("sorts by other columns, ascending unless asked", () => {
+  assert.deepEqual(refs(query({ sort: "amount" })), ["vp-3", "vp-2", "vp-4", "vp-1"]);
+  assert.deepEqual(refs(query({ sort: "amount", order: "desc" })), ["vp-1", "vp-4", "vp-2", "vp-3"]);
+});
+
+test("pages through the matches", () => {
+  const result = query({ page: "2", pageSize: "3" });
+
+  assert.deepEqual(refs(result), ["vp-1"]);
+  assert.equal(result.pages, 2);
+});
+
+test("the export skips pagination", () => {
+  const result = query({ pageSize: "1" }, { paginate: false });
+
+  assert.equal(result.items.length, 4);
+  assert.equal(result.page, undefined);
+});
+
+test("invalid parameters are reported per field", () => {
+  const { isValid, errors } = parseTransactionQuery({
+    status: "refunded",
+    from: "2025-13-45",
+    sort: "password",
+    order: "sideways",
+    page: "0",
+    pageSize: "101",
+  });
+
+  assert.equal(isValid, false);
+  assert.deepEqual(Object.keys(errors).sort(), ["from", "order", "page", "pageSize", "sort", "status"]);
+  assert.equal(
+    parseTransactionQuery({ from: "2025-02-01", to: "2025-01-01" }).errors.to,
+    "To must not be before From"
+  );
+});
+
+test("CSV has a header row and CRLF line endings", () => {
+  const csv = toCsv(query({ status: "pending" }).items);
+
+  assert.equal(
+    csv,
+    "tx_ref,createdAt,updatedAt,status,amount,currency,customerName,customerEmail,provider\r\n" +
+      "vp-3,2025-01-03T00:00:00.000Z,2025-01-03T00:00:00.000Z,pending,50,KES,Ann Lee,ann@example.com,flutterwave\r\n"
+  );
+});
+
+test("CSV quotes separators, quotes and line breaks", () => {
+  const [, row] = toCsv([{ tx_ref: "vp-1", customerName: 'Lee, "Ann"\nJr' }]).split("\r\n");
+
+  assert.equal(row, 'vp-1,,,,,,"Lee, ""Ann""\nJr",,');
+});
+
+test("CSV defuses values a spreadsheet would run as formulas", () => {
+  for (const name of ["=HYPERLINK(\"http://evil\")", "+1", "-1", "@SUM(A1)", "\tx"]) {
+    const [, row] = toCsv([{ customerName: name }]).split("\r\n");
+    const field = row.split(",").slice(6, -2).join(",");
+    assert.match(field, /^"?'/, `${JSON.stringify(name)} should start with an apostrophe`);
+  }
+});
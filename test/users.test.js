@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { createUserStore, toPublicUser, DuplicateEmailError } = require("../lib/users");
+
+async function createTestUsers(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "users-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return createUserStore(path.join(dir, "users.json"));
+}
+
+const ANN = { name: "Ann Lee", email: " Ann@Example.com ", password: "correct horse battery" };
+
+test("passwords are stored as salted scrypt hashes", async (t) => {
+  const users = await createTestUsers(t);
+  const ann = await users.create(ANN);
+  const bob = await users.create({ ...ANN, email: "bob@example.com" });
+
+  assert.match(ann.passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.ok(!ann.passwordHash.includes(ANN.password));
+  // Same password, different salt
+  assert.notEqual(ann.passwordHash, bob.passwordHash);
+});
+
+test("emails are trimmed, lower-cased and unique", async (t) => {
+  const users = await createTestUsers(t);
+  const ann = await users.create(ANN);
+
+  assert.equal(ann.email, "ann@example.com");
+  assert.deepEqual(await users.findByEmail("ANN@example.com"), ann);
+  assert.deepEqual(await users.findById(ann.id), ann);
+  await assert.rejects(users.create({ ...ANN, email: "ann@EXAMPLE.com" }), DuplicateEmailError);
+});
+
+test("authenticate returns the user only for the right password", async (t) => {
+  const users = await createTestUsers(t);
+  const ann = await users.create(ANN);
+
+  assert.deepEqual(await users.authenticate("ann@example.com", ANN.password), ann);
+  assert.equal(await users.authenticate("ann@example.com", "wrong password"), null);
+  assert.equal(await users.authenticate("nobody@example.com", ANN.password), null);
+});
+
+test("toPublicUser drops the password hash", async (t) => {
+  const users = await createTestUsers(t);
+  const ann = await users.create(ANN);
+
+  const publicUser = toPublicUser(ann);
+
+  assert.equal(publicUser.passwordHash, undefined);
+  assert.equal(publicUser.email, "ann@example.com");
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ValidationRules = require("../public/validation-rules");
+const {
+  validateRegistration,
+  validateLogin,
+  validatePayment,
+} = require("../lib/validation");
+
+const STRONG_PASSWORD = "Sup3r-secret-pass!";
+
+test("registration accepts a complete form and trims name and email", () => {
+  const { isValid, errors, values } = validateRegistration({
+    name: "  Ann Lee ",
+    email: " ann@example.com ",
+    password: STRONG_PASSWORD,
+    "confirm-password": STRONG_PASSWORD,
+  });
+
+  assert.equal(isValid, true);
+  assert.deepEqual(errors, {});
+  assert.deepEqual(values, { name: "Ann Lee", email: "ann@example.com", password: STRONG_PASSWORD });
+});
+
+test("registration reports each field with the shared messages", () => {
+  const { isValid, errors } = validateRegistration({
+    name: "A",
+    email: "not-an-email",
+    password: STRONG_PASSWORD,
+    "confirm-password": "something else",
+  });
+
+  assert.equal(isValid, false);
+  assert.deepEqual(errors, {
+    name: "Name must be at least 2 characters",
+    email: "Please enter a valid email address",
+    "confirm-password": "Passwords do not match",
+  });
+});
+
+test("registration rejects common and short passwords", () => {
+  assert.equal(
+    validateRegistration({ password: "password" }).errors.password,
+    "Password is too weak, see the suggestions below"
+  );
+  assert.equal(
+    validateRegistration({ password: "abc" }).errors.password,
+    "Password must be at least 6 characters"
+  );
+  assert.equal(ValidationRules.scorePassword("password").score, 0);
+});
+
+test("login only needs an email and some password", () => {
+  assert.equal(validateLogin({ email: "ann@example.com", password: "x" }).isValid, true);
+  assert.deepEqual(validateLogin({}).errors, {
+    email: "Email is required",
+    password: "Password is required",
+  });
+});
+
+test("payment amounts must be positive with at most two decimals", () => {
+  for (const amount of ["150", 99.5, "0.01"]) {
+    assert.equal(validatePayment({ amount }).isValid, true, `${amount} should be valid`);
+  }
+  for (const amount of ["0", "-5", "1.234", "abc", ""]) {
+    assert.ok(validatePayment({ amount }).errors.amount, `${amount} should be rejected`);
+  }
+});
+
+test("payment currency defaults to KES and must be supported", () => {
+  assert.equal(validatePayment({ amount: "10" }).values.currency, "KES");
+  assert.equal(validatePayment({ amount: "10", currency: "usd" }).values.currency, "USD");
+  assert.match(
+    validatePayment({ amount: "10", currency: "EUR" }).errors.currency,
+    /^Currency must be one of KES/
+  );
+});
+
+test("payment provider must be one the server knows", () => {
+  const providers = ["flutterwave", "stripe"];
+  assert.equal(validatePayment({ amount: "10", provider: "Stripe" }, { providers }).values.provider, "stripe");
+  assert.equal(
+    validatePayment({ amount: "10", provider: "paypal" }, { providers }).errors.provider,
+    "Provider must be one of flutterwave, stripe"
+  );
+});
+
+test("optional fields skip their rules when empty", () => {
+  const field = { rules: [{ rule: "email" }] };
+  assert.equal(ValidationRules.checkField(field, ""), null);
+  assert.equal(ValidationRules.checkField(field, "nope"), "Please enter a valid email address");
+});
+
+test("async rules are resolved by checkField", async () => {
+  ValidationRules.defineRule("notTaken", (value) => Promise.resolve(value !== "taken@example.com"), "Taken");
+  const field = { rules: [{ rule: "required" }, { rule: "notTaken" }, { rule: "email" }] };
+
+  assert.equal(await ValidationRules.checkField(field, "taken@example.com"), "Taken");
+  assert.equal(await ValidationRules.checkField(field, "free@example.com"), null);
+});